@@ -1,9 +1,124 @@
-// Minimal service worker: claim clients so it feels app-like
+// Service worker: precached app shell + last-known data so the app opens offline.
+// The shell list comes from /precache-manifest.json, written by vite.config.js at build time.
+const SHELL_CACHE = 'mom3nt-shell-v1';
+const DATA_CACHE = 'mom3nt-data-v1';
+const SHELL_FALLBACK = ['/', '/index.html', '/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+
+// Supabase REST reads we keep a last-known copy of
+const DATA_PATHS = ['/rest/v1/entries', '/rest/v1/profiles', '/rest/v1/cycles'];
+
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  let urls = SHELL_FALLBACK;
+  try {
+    const res = await fetch('/precache-manifest.json', { cache: 'no-store' });
+    if (res.ok) urls = Array.from(new Set([...SHELL_FALLBACK, ...(await res.json())]));
+  } catch {
+    // Dev server has no manifest; the fallback list is enough to boot
+  }
+  await Promise.all(urls.map((url) => cache.add(url).catch(() => null)));
+}
+
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
 });
+
 self.addEventListener('activate', (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, DATA_CACHE];
+    for (const key of await caches.keys()) {
+      if (!keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// Network first, falling back to the last good response
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(fallbackUrl || request, res.clone());
+    return res;
+  } catch (e) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+// Hashed build assets (/assets/*) never change, so the cache wins
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone());
+  return res;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+    return;
+  }
+  if (url.origin === self.location.origin) {
+    event.respondWith(url.pathname.startsWith('/assets/') ? cacheFirst(request) : networkFirst(request, SHELL_CACHE));
+    return;
+  }
+  if (DATA_PATHS.some((p) => url.pathname.startsWith(p))) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  }
+});
+
+// Training-day reminders: { title, body, tag, url } from the send-reminders function,
+// or posted by the page when the local backend stands in for the push server
+function showReminder(payload) {
+  return self.registration.showNotification(payload.title, {
+    body: payload.body,
+    tag: payload.tag,
+    icon: '/icons/icon-192.png',
+    badge: '/icons/icon-192.png',
+    data: { url: payload.url || '/' },
+  });
+}
+
+self.addEventListener('push', (event) => {
+  let payload = null;
+  try {
+    payload = event.data?.json();
+  } catch {
+    return; // not one of ours
+  }
+  if (payload?.title) event.waitUntil(showReminder(payload));
+});
+
+// Deep link into an open tab if there is one (the app routes it), else open a new one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data?.url || '/';
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = windows.find((w) => new URL(w.url).origin === self.location.origin);
+    if (open) {
+      await open.focus();
+      open.postMessage({ type: 'navigate', url });
+      return;
+    }
+    await self.clients.openWindow(url);
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  // The app asks us to forget cached data on sign-out
+  if (event.data?.type === 'clear-data-cache') {
+    event.waitUntil(caches.delete(DATA_CACHE));
+  }
+  if (event.data?.type === 'show-reminder' && event.data.payload?.title) {
+    event.waitUntil(showReminder(event.data.payload));
+  }
 });
-// (Optional) passthrough fetch; add caching later if you want offline
-self.addEventListener('fetch', () => {});
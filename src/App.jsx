@@ -1,167 +1,54 @@
 // src/App.jsx
-import { useEffect, useMemo, useRef, useState } from 'react';
-import { supabase } from './lib/supabase';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { repo, isLocalBackend } from './lib/data';
+import { swr, writeCache, clearCache } from './lib/cache';
 import { SITE_URL } from './config';
-import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer } from 'recharts';
+import { isoDate, todayISO, fromISO, isWithinISO, weekdayIndex, startOfWeekISO } from './lib/dates';
+import {
+  LEGACY_MOVEMENTS, WEEKDAY_ORDER, useCycles, loadCycles, getCycleBounds, getCurrentCycleIndex,
+  movementsFromTemplate, movementForDate, getMovementByName, getCycleForDate,
+} from './lib/programs';
+import { formatValue, formatTick, formatDelta } from './lib/format';
+import { bestOf, improvement, directionFor } from './lib/scoring';
+import { prHistory, checkPR } from './lib/records';
+import { emptyAttempt, attemptsFromEntry, parseAttempts, bestAttempt, sessionRpe } from './lib/attempts';
+import { UNIT_PREFS, displayUnitFor, entryInUnit, entryForInput } from './lib/units';
+import { queueEntry, listQueued, flushOutbox, isNetworkError, outboxKey } from './lib/outbox';
+import {
+  LEADERBOARD_WINDOWS, windowRange, inRange, allMovements, rankAthletes,
+  directoryFromRows, athleteFor, nameInconsistencies, applyBestChange, LEADERBOARD_VIEWS, groupRows, supportsRelative,
+  relativeRow,
+} from './lib/leaderboard';
+import { DIVISION_OPTIONS, DIVISIONS, toKg } from './lib/divisions';
+import { entriesForRange, toCSV, toJSON, downloadFile } from './lib/transfer';
+import { E1RM_FORMULAS, entryE1RM, hasRepScheme, strengthByBlock } from './lib/strength';
+import { compareCycles, overlayByWeek, weeksIn } from './lib/compare';
+import { isProgrammed, loggingStreaks, nextUnloggedDay } from './lib/streaks';
+import { parseRoute, routeFor } from './lib/routes';
+import { buildRoster } from './lib/roster';
+import { emptyDetails, detailsForm, settingsRows, detailsFromForm } from './lib/notes';
+import ProgramEditor from './ProgramEditor';
+import ImportWizard from './ImportWizard';
+import EntriesTable from './EntriesTable';
+import NotesTimeline from './NotesTimeline';
+import { pushSupported, enableReminders, disableReminders, createLocalPushServer } from './lib/push';
+import { DEFAULT_REMINDER_TIME } from '../supabase/functions/_shared/reminders.js';
+import { shareCardData, shareFileName, renderShareCard, shareImage } from './lib/shareCard';
+import {
+  t, tn, useLocale, getLocale, setLocale, LOCALES, formatDate, formatRange, formatMonth, formatNumber, weekdayName,
+} from './lib/i18n';
+import { LineChart, Line, XAxis, YAxis, Tooltip, CartesianGrid, ResponsiveContainer, ReferenceLine } from 'recharts';
 
 /* ================= Helpers ================= */
-const isoLocal = (d) => {
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, '0');
-  const day = String(d.getDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-};
-const dayName = (d) => d.toLocaleDateString('en-US', { weekday: 'long' });
-const monthLabel = (d) => d.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
 const range = (n) => Array.from({ length: n }, (_, i) => i);
-const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
-const formatNiceNumber = (val) => {
-  const n = Number(val);
-  if (!Number.isFinite(n)) return '';
-  const abs = Math.abs(n);
-  if (abs >= 1000) return Math.round(n).toLocaleString();
-  if (abs >= 100) return Math.round(n).toString();
-  if (abs >= 10) return Math.round(n).toString();
-  if (abs >= 1) return n.toFixed(1).replace(/\.0$/, '');
-  return n.toFixed(2).replace(/0+$/, '').replace(/\.$/, '');
-};
-// Preserve actual value precision for data points: truncate, do not round
-const formatExactValue = (val) => {
-  const n = Number(val);
-  if (!Number.isFinite(n)) return '';
-  const truncated = Math.trunc(n * 100) / 100; // keep up to 2 decimals without rounding
-  const hasDecimals = Math.abs(truncated % 1) > 0;
-  const oneDecimal = Math.abs(Math.trunc(truncated * 10) / 10 - Math.trunc(truncated)) > 0;
-  const minFrac = 0;
-  const maxFrac = hasDecimals ? (oneDecimal ? 1 : 2) : 0;
-  return truncated.toLocaleString(undefined, { minimumFractionDigits: minFrac, maximumFractionDigits: maxFrac });
-};
-
-/* ========== Movements & Cycles ========== */
-// Legacy block before Sep 1 (your original 7)
-const LEGACY_MOVEMENTS = {
-  Sunday:    { key: 'sun', name: '3 Rep Max Landmine clean', unit: 'lbs' },
-  Monday:    { key: 'mon', name: '6 Rep Reverse Lunge Max', unit: 'lbs' },
-  Tuesday:   { key: 'tue', name: 'Max power Keiser Push/Pull', unit: 'watts' },
-  Wednesday: { key: 'wed', name: 'Max Treadmill Speed', unit: 'mph' },
-  Thursday:  { key: 'thu', name: '6 Rep Max Kickstand RDL', unit: 'lbs' },
-  Friday:    { key: 'fri', name: '6 Rep Max S/A Pull Down', unit: 'lbs' },
-  Saturday:  { key: 'sat', name: 'Max distance 30 sec assault bike', unit: 'miles' },
-};
-
-// Previous 8-week cycle window (explicit for July 6 – Aug 31)
-const PREV_CYCLE_START = new Date('2025-07-06'); // Sunday
-const PREV_CYCLE_END   = new Date('2025-08-31'); // Sunday
-const PREV_WEEK_TEMPLATE = { ...LEGACY_MOVEMENTS };
-
-// Sep cycle: 6 weeks (Sep 1 – Oct 12, 2025)
-const SEPT_CYCLE_START = new Date('2025-09-01'); // Monday
-const SEPT_CYCLE_WEEKS = 6;
-const SEPT_WEEK_TEMPLATE = {
-  Monday:    { key: 'w_mon', name: '6 Rep Bulgarian Split Squat', unit: 'lbs' },
-  Tuesday:   { key: 'w_tue', name: '6 Rep DB Floor Press',        unit: 'lbs' },
-  Wednesday: { key: 'w_wed', name: '.1 Distance Run',              unit: 'time' },
-  Thursday:  { key: 'w_thu', name: '6 Rep Smith RDL',              unit: 'lbs' },
-  Friday:    { key: 'w_fri', name: 'Pull Up + Push Press EDT',     unit: 'rounds' },
-  Saturday:  { key: 'w_sat', name: 'Ski/Curl/Squat METCON',        unit: 'time' },
-  Sunday:    { key: 'w_sun', name: 'Keiser Rotate to Press',       unit: 'watts' },
-};
-
-// Oct cycle: 6 weeks (Oct 13 – Nov 23, 2025)
-const OCT_CYCLE_START = new Date('2025-10-13'); // Monday
-const OCT_CYCLE_WEEKS = 6;
-const OCT_WEEK_TEMPLATE = {
-  Monday:    { key: 'o_mon', name: 'Barbell Box Squat',            unit: 'lbs' },
-  Tuesday:   { key: 'o_tue', name: 'Barbell Block Bench Press',    unit: 'lbs' },
-  Wednesday: { key: 'o_wed', name: '.25 Assault Bike',             unit: 'time' }, // lower is better
-  Thursday:  { key: 'o_thu', name: 'Kickstand Landmine RDL',       unit: 'lbs' },
-  Friday:    { key: 'o_fri', name: 'Half Kneeling S/A DB Press',   unit: 'lbs' },
-  Saturday:  { key: 'o_sat', name: '.25 Distance Run',             unit: 'time' }, // lower is better
-  Sunday:    { key: 'o_sun', name: 'Kettlebell Complex',           unit: 'lbs' },
-};
-
-// Nov–Jan cycle: 6 weeks (Nov 24, 2025 – Jan 4, 2026)
-const NOV_CYCLE_START = new Date('2025-11-24'); // Monday
-const NOV_CYCLE_WEEKS = 6;
-const NOV_WEEK_TEMPLATE = {
-  Monday:    { key: 'n_mon', name: 'Keiser Belt Squat',         unit: 'watts' },
-  Tuesday:   { key: 'n_tue', name: 'S/A Tempo DB Row',          unit: 'lbs' },
-  Wednesday: { key: 'n_wed', name: 'Keiser Step Chop',          unit: 'watts' },
-  Thursday:  { key: 'n_thu', name: 'Barbell Hip Thrust',        unit: 'lbs' },
-  Friday:    { key: 'n_fri', name: 'S/A Kneeling Pull Down',    unit: 'kgs' },
-  Saturday:  { key: 'n_sat', name: '200 Meter Ski',             unit: 'time' }, // lower is better
-  Sunday:    { key: 'n_sun', name: 'Landmine Clean + Jerk',     unit: 'lbs' },
-};
-
-// Jan–Feb cycle: 6 weeks (Jan 12, 2026 – Feb 22, 2026)
-const JAN_CYCLE_START = new Date('2026-01-12'); // Monday
-const JAN_CYCLE_WEEKS = 6;
-const JAN_WEEK_TEMPLATE = {
-  Monday:    { key: 'j_mon', name: 'Landmine kickstand squat 6 RM',      unit: 'lbs' },
-  Tuesday:   { key: 'j_tue', name: 'Seated Cable Bench Row 6 RM',        unit: 'kgs' },
-  Wednesday: { key: 'j_wed', name: 'Keiser Bar Chop Max Power',          unit: 'watts' },
-  Thursday:  { key: 'j_thu', name: 'Smith Bulgarian Split Squat 6 RM',   unit: 'lbs' },
-  Friday:    { key: 'j_fri', name: 'Smith Pin Press 6 RM',               unit: 'lbs' },
-  Saturday:  { key: 'j_sat', name: 'Treadmill 30 Sec Max Distance',      unit: 'miles' },
-  Sunday:    { key: 'j_sun', name: 'S/A Kickstand KB Clean',             unit: 'lbs' },
-};
-
-// NEW Feb–Apr cycle: 6 weeks (Feb 23, 2026 – Apr 5, 2026)
-const FEB_CYCLE_START = new Date('2026-02-23'); // Monday
-const FEB_CYCLE_WEEKS = 6;
-const FEB_WEEK_TEMPLATE = {
-  Monday:    { key: 'f_mon', name: 'Smith Pin Squats x 6 reps',      unit: 'lbs' },
-  Tuesday:   { key: 'f_tue', name: 'Keiser Bench Press',             unit: 'watts' },
-  Wednesday: { key: 'f_wed', name: 'Cable Step Downs x 6 reps',      unit: 'kgs' },
-  Thursday:  { key: 'f_thu', name: 'Smith Kickstand RDL x 6 reps',   unit: 'lbs' },
-  Friday:    { key: 'f_fri', name: 'Cable Pull Down x 6 reps',       unit: 'kgs' },
-  Saturday:  { key: 'f_sat', name: 'Max Assault Bike Wattage',       unit: 'watts' },
-  Sunday:    { key: 'f_sun', name: '500m Ski time',                  unit: 'time' }, // lower is better
-};
-
-// Cycles in order (Prev → Sep → Oct → Nov/Jan → Jan/Feb → Feb/Apr)
-const CYCLES = [
-  { start: PREV_CYCLE_START, endOverride: PREV_CYCLE_END, weekTemplate: PREV_WEEK_TEMPLATE },
-  { start: SEPT_CYCLE_START, weeks: SEPT_CYCLE_WEEKS,     weekTemplate: SEPT_WEEK_TEMPLATE },
-  { start: OCT_CYCLE_START,  weeks: OCT_CYCLE_WEEKS,      weekTemplate: OCT_WEEK_TEMPLATE },
-  { start: NOV_CYCLE_START,  weeks: NOV_CYCLE_WEEKS,      weekTemplate: NOV_WEEK_TEMPLATE },
-  { start: JAN_CYCLE_START,  weeks: JAN_CYCLE_WEEKS,      weekTemplate: JAN_WEEK_TEMPLATE },
-  { start: FEB_CYCLE_START,  weeks: FEB_CYCLE_WEEKS,      weekTemplate: FEB_WEEK_TEMPLATE },
-];
-
-function getCycleBounds(cycle) {
-  const start = startOfDay(cycle.start);
-  if (cycle.endOverride) return { start, end: startOfDay(cycle.endOverride) };
-  const end = new Date(start);
-  end.setDate(end.getDate() + (cycle.weeks ?? 0) * 7 - 1);
-  return { start, end };
-}
-function getCycleForDate(d) {
-  const day = startOfDay(d);
-  for (const c of CYCLES) {
-    const { start, end } = getCycleBounds(c);
-    if (day >= start && day <= end) return c;
-  }
-  return null;
-}
-function getCurrentCycleIndex(date = new Date()) {
-  const day = startOfDay(date);
-  for (let i = 0; i < CYCLES.length; i++) {
-    const { start, end } = getCycleBounds(CYCLES[i]);
-    if (day >= start && day <= end) return i;
-  }
-  return -1;
-}
-function isWithinISO(dateISO, start, end) {
-  const d = new Date(dateISO + 'T00:00:00');
-  return d >= start && d <= end;
-}
-const WEEKDAY_ORDER = ['Monday','Tuesday','Wednesday','Thursday','Friday','Saturday','Sunday'];
-function movementsFromTemplate(weekTemplate) {
-  return WEEKDAY_ORDER.map(weekday => {
-    const mov = weekTemplate[weekday];
-    return mov ? { weekday, ...mov } : null;
-  }).filter(Boolean);
+const POLL_MS = 15000; // leaderboard refresh when realtime isn't connected
+const SHORT_DATE = { day: 'numeric', month: 'short' }; // chart axis labels
+
+// Each movement in the viewer's preferred units (PRs, charts and prefill compare like with like)
+function inPreferredUnits(entries, cycles, unitPref) {
+  const programmedUnit = new Map();
+  cycles.forEach((c) => Object.values(c.weekTemplate).forEach((m) => m && programmedUnit.set(m.name, m.unit)));
+  return entries.map((e) => entryInUnit(e, displayUnitFor(programmedUnit.get(e.movement) || e.unit, unitPref)));
 }
 
 /* ========== URL hash parser ========== */
@@ -178,7 +65,8 @@ function parseHash() {
 }
 
 /* ========== iOS-sticky numeric input ========== */
-function NumberField({ value, onChange, placeholder, width = 160, allowDecimal = true }) {
+// allowTime: accept m:ss.hh (text keyboard, since iOS number pads have no colon)
+function NumberField({ value, onChange, placeholder, width = 160, allowDecimal = true, allowTime = false }) {
   const ref = useRef(null);
   const [editing, setEditing] = useState(false);
 
@@ -193,9 +81,11 @@ function NumberField({ value, onChange, placeholder, width = 160, allowDecimal =
     }
   }, [value, editing]);
 
+  // A decimal comma (Spanish and most of Europe) is stored as a point
   const sanitize = (raw) => {
+    if (allowTime) return raw.replace(/,/g, '.').replace(/[^\d:.]/g, '');
     if (allowDecimal) {
-      let next = raw.replace(/[^\d.]/g, '');
+      let next = raw.replace(/,/g, '.').replace(/[^\d.]/g, '');
       const firstDot = next.indexOf('.');
       if (firstDot !== -1) {
         next = next.slice(0, firstDot + 1) + next.slice(firstDot + 1).replace(/\./g, '');
@@ -208,8 +98,8 @@ function NumberField({ value, onChange, placeholder, width = 160, allowDecimal =
   return (
     <input
       ref={ref}
-      type="tel"
-      inputMode={allowDecimal ? 'decimal' : 'numeric'}
+      type={allowTime ? 'text' : 'tel'}
+      inputMode={allowTime ? 'text' : allowDecimal ? 'decimal' : 'numeric'}
       autoCorrect="off"
       autoCapitalize="none"
       enterKeyHint="done"
@@ -229,30 +119,6 @@ function NumberField({ value, onChange, placeholder, width = 160, allowDecimal =
   );
 }
 
-/* ---- Movement for a date ---- */
-function movementForDate(d) {
-  const cycle = getCycleForDate(d);
-  if (cycle) {
-    const mov = cycle.weekTemplate[dayName(d)];
-    if (mov) return mov;
-  }
-  return { key: 'tbd', name: 'TBD', unit: '' };
-}
-
-/* ---- Helper: lookup unit by movement name (for leaderboard dropdown) ---- */
-function getMovementUnitByName(movementName) {
-  if (!movementName) return '';
-  for (const cy of CYCLES) {
-    for (const [, m] of Object.entries(cy.weekTemplate)) {
-      if (m?.name === movementName) return m.unit || '';
-    }
-  }
-  for (const [, m] of Object.entries(LEGACY_MOVEMENTS)) {
-    if (m?.name === movementName) return m.unit || '';
-  }
-  return '';
-}
-
 /* ================= App ================= */
 export default function App() {
   // Auth
@@ -265,84 +131,177 @@ export default function App() {
   // Profile
   const [profileOpen, setProfileOpen] = useState(false);
   const [name, setName] = useState(localStorage.getItem('mom3nt_name') || '');
-  const [gender, setGender] = useState(localStorage.getItem('mom3nt_gender') || '');
-
-  // UI
-  const [tab, setTab] = useState('calendar'); // calendar | database | leaderboard
-  const [monthDate, setMonthDate] = useState(new Date());
-  const [selectedDate, setSelectedDate] = useState(new Date());
-  const [inputVal, setInputVal] = useState('');
+  const [gender, setGender] = useState(localStorage.getItem('mom3nt_gender') || ''); // division: male | female | nonbinary | open
+  const [isCoach, setIsCoach] = useState(false);
+  const [unitPref, setUnitPref] = useState(localStorage.getItem('mom3nt_units') || ''); // '' | 'lbs' | 'kgs'
+  const [displayName, setDisplayName] = useState(''); // leaderboard nickname; first name when blank
+  const [optOut, setOptOut] = useState(false); // hide me from the leaderboard
+  const [birthYear, setBirthYear] = useState('');
+  const [bodyweight, setBodyweight] = useState('');
+  const [bodyweightUnit, setBodyweightUnit] = useState('lbs');
+  // Training-day reminder on this device: { endpoint, time: 'HH:MM' } or null when off
+  const [reminder, setReminder] = useState(() => JSON.parse(localStorage.getItem('mom3nt_reminder') || 'null'));
+
+  // UI (initial screen comes from the URL, see lib/routes)
+  const locale = useLocale(); // UI language, see lib/i18n
+  const [initialRoute] = useState(() => parseRoute(window.location));
+  const [tab, setTab] = useState(initialRoute.tab); // calendar | database | leaderboard | programs
+  const [monthDate, setMonthDate] = useState(() => fromISO(initialRoute.date || todayISO()));
+  const [selectedDate, setSelectedDate] = useState(() => initialRoute.date || todayISO()); // 'YYYY-MM-DD'
+  const [attempts, setAttempts] = useState(() => [emptyAttempt()]);
   const [inputNotes, setInputNotes] = useState('');
-  const [dbView, setDbView] = useState('this'); // 'this' | 'prev' | 'all'
+  const [details, setDetails] = useState(emptyDetails); // RPE, pain flag, tags and equipment settings
+  const [dbView, setDbView] = useState(initialRoute.dbView || 'this'); // 'this' | 'prev' | 'cycle' | 'all' | 'compare' | 'notes' | 'entries'
+  const [dbCycleId, setDbCycleId] = useState(initialRoute.dbCycleId || ''); // when dbView === 'cycle'
+  const [coachMember, setCoachMember] = useState(initialRoute.member || ''); // coach tab: member whose history is open
   const [isMobile, setIsMobile] = useState(false);
+  const [newPR, setNewPR] = useState(null); // { date, value, previousBest, margin, movement, unit }
+  const [catchUp, setCatchUp] = useState(false); // after saving, jump to the next unlogged day
+  const [sharing, setSharing] = useState(null); // { card, blob, url } while the share preview is open
 
-  // Leaderboard dropdown
-  const [lbMovementName, setLbMovementName] = useState('');
+  // Leaderboard filters
+  const [lbMovementName, setLbMovementName] = useState(initialRoute.movement || '');
+  const [lbWindow, setLbWindow] = useState(initialRoute.window || 'all'); // week | cycle | past | all
+  const [lbCycleId, setLbCycleId] = useState(initialRoute.cycleId || ''); // when lbWindow === 'past'
+  const [lbView, setLbView] = useState(initialRoute.view || 'division'); // division | age | bodyweight | relative
+  const [lbDivision, setLbDivision] = useState(initialRoute.division || ''); // narrows age/bodyweight/relative views
 
   // Data
-  const [entries, setEntries] = useState([]);
+  const [entries, setEntries] = useState([]); // this member's own entries only
+  const [lbRows, setLbRows] = useState([]); // best entry per athlete for the leaderboard query
+  const [nameVariants, setNameVariants] = useState([]); // coaches: names each member saved under
+  const [lbRefresh, setLbRefresh] = useState(0); // bumped to re-run the leaderboard query
+  const [live, setLive] = useState('down'); // realtime channel: 'live' | 'down' (polling)
+  const [pending, setPending] = useState([]); // rows waiting in the offline outbox
+  const [synced, setSynced] = useState(() => new Set()); // outbox keys replayed this session
+  const [online, setOnline] = useState(navigator.onLine);
+  const [athletes, setAthletes] = useState(() => new Map()); // user_id → { name, gender, birthYear, bodyweightKg, optOut }
+  const CYCLES = useCycles();
+
+  // Server rows with queued offline saves layered on top (same user_id+date wins)
+  const allEntries = useMemo(() => {
+    if (!pending.length) return entries;
+    const queued = new Map(pending.map((r) => [outboxKey(r), { ...r, _pending: true }]));
+    return [...entries.filter((e) => !queued.has(outboxKey(e))), ...queued.values()]
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }, [entries, pending]);
 
   /* ---- Auth flow ---- */
   useEffect(() => {
-    let sub;
+    let unsubscribe;
     (async () => {
       const h = parseHash();
       if (h.error_description) alert(h.error_description.replace(/\+/g, ' '));
 
       if (h.access_token && h.refresh_token) {
         try {
-          const { data, error } = await supabase.auth.setSession({
+          const { session: s, error } = await repo.auth.setSession({
             access_token: h.access_token,
             refresh_token: h.refresh_token,
           });
           if (error) console.error('setSession error:', error);
-          setSession(data?.session ?? null);
+          setSession(s);
         } catch (e) {
           console.error('setSession threw:', e);
         } finally {
           window.history.replaceState({}, document.title, window.location.pathname + window.location.search);
         }
       } else {
-        const { data } = await supabase.auth.getSession();
-        setSession(data.session ?? null);
+        const { session: s } = await repo.auth.getSession();
+        setSession(s);
       }
 
-      const res = supabase.auth.onAuthStateChange((_event, s) => setSession(s));
-      sub = res.data?.subscription;
+      unsubscribe = repo.auth.onChange(setSession);
     })();
-    return () => { if (sub) sub.unsubscribe(); };
+    return () => { if (unsubscribe) unsubscribe(); };
   }, []);
 
-  // Load entries & profile
+  // Load cycles, entries & profile
   useEffect(() => {
     if (!session) return;
     (async () => {
-      const { data: eData } = await supabase
-        .from('entries')
-        .select('*')
-        .order('date', { ascending: true });
-      setEntries(eData || []);
-
-      const { data: pData } = await supabase
-        .from('profiles')
-        .select('name, gender')
-        .eq('id', session.user.id)
-        .maybeSingle();
+      loadCycles();
+
+      const userId = session.user.id;
+      await swr(`entries:${userId}`, () => repo.entries.listForUser(userId), (data) => setEntries(data || []));
+
+      const { data: pData } = await repo.profiles.get(session.user.id);
 
       if (pData) {
         if (pData.name) setName(pData.name);
         if (pData.gender) setGender(pData.gender);
+        setIsCoach(!!pData.is_coach);
+        setUnitPref(pData.unit_pref || '');
+        setDisplayName(pData.display_name || '');
+        setOptOut(!!pData.leaderboard_opt_out);
+        setBirthYear(pData.birth_year ? String(pData.birth_year) : '');
+        setBodyweight(pData.bodyweight ? String(pData.bodyweight) : '');
+        setBodyweightUnit(pData.bodyweight_unit || (pData.unit_pref === 'kgs' ? 'kgs' : 'lbs'));
         localStorage.setItem('mom3nt_name', pData.name || '');
         localStorage.setItem('mom3nt_gender', pData.gender || '');
       }
+
+      await reloadAthletes();
     })();
   }, [session]);
 
+  // Notification clicks (service worker) deep-link through the same routing
+  useEffect(() => {
+    const onMessage = (event) => {
+      if (event.data?.type !== 'navigate') return;
+      window.history.pushState({}, '', event.data.url);
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    };
+    navigator.serviceWorker?.addEventListener('message', onMessage);
+    return () => navigator.serviceWorker?.removeEventListener('message', onMessage);
+  }, []);
+
+  /* ---- URL routing: state → path, back/forward → state ---- */
+  useEffect(() => {
+    const path = routeFor({
+      tab, date: selectedDate, dbView, dbCycleId, member: coachMember, movement: lbMovementName,
+      window: lbWindow, cycleId: lbCycleId, view: lbView, division: lbDivision,
+    });
+    if (path === window.location.pathname + window.location.search) return;
+    // New history entry per tab (and per member opened on the coach tab); other
+    // changes replace it. Keep the hash: it may still hold magic-link tokens the
+    // auth effect hasn't read yet.
+    const here = parseRoute(window.location);
+    const sameScreen = here.tab === tab && (tab !== 'coach' || here.member === coachMember);
+    window.history[sameScreen ? 'replaceState' : 'pushState']({}, '', path + window.location.hash);
+  }, [tab, selectedDate, dbView, dbCycleId, coachMember, lbMovementName, lbWindow, lbCycleId, lbView, lbDivision]);
+
+  useEffect(() => {
+    const onPop = () => {
+      const route = parseRoute(window.location);
+      setTab(route.tab);
+      if (route.date) {
+        setSelectedDate(route.date);
+        setMonthDate(fromISO(route.date));
+      }
+      if (route.dbView) {
+        setDbView(route.dbView);
+        setDbCycleId(route.dbCycleId || '');
+      }
+      if (route.tab === 'coach') setCoachMember(route.member);
+      if (route.tab === 'leaderboard') {
+        if (route.movement) setLbMovementName(route.movement);
+        setLbWindow(route.window);
+        setLbCycleId(route.cycleId);
+        setLbView(route.view);
+        setLbDivision(route.division);
+      }
+    };
+    window.addEventListener('popstate', onPop);
+    return () => window.removeEventListener('popstate', onPop);
+  }, []);
+
   // Persist local mirror
   useEffect(() => {
     localStorage.setItem('mom3nt_name', name || '');
     localStorage.setItem('mom3nt_gender', gender || '');
-  }, [name, gender]);
+    localStorage.setItem('mom3nt_units', unitPref || '');
+  }, [name, gender, unitPref]);
 
   // Mobile detection
   useEffect(() => {
@@ -355,104 +314,340 @@ export default function App() {
     };
   }, []);
 
-  /* ---- Prefill value/notes when selecting a day (carry forward notes for same movement) ---- */
+  /* ---- Prefill attempts/notes when selecting a day (carry forward notes and settings for same movement) ---- */
+  // Reloads (polling, realtime) re-run this; once the member has typed on the
+  // day, the form is theirs until they pick another day or save
+  const prefillRef = useRef({ key: null, dirty: false });
+  const editForm = (setter) => (next) => {
+    prefillRef.current.dirty = true;
+    setter(next);
+  };
+
   useEffect(() => {
     if (!session) return;
+    const key = `${session.user.id}|${selectedDate}|${unitPref}`;
+    if (prefillRef.current.key === key && prefillRef.current.dirty) return;
+    prefillRef.current = { key, dirty: false };
 
-    const targetISO = isoLocal(selectedDate);
-    const mine = entries.filter(e => e.user_id === session.user.id);
+    const targetISO = selectedDate;
+    const mine = allEntries.filter(e => e.user_id === session.user.id);
 
     // If there’s already an entry for the selected date, use it.
     const existing = mine.find(e => e.date === targetISO);
     if (existing) {
-      setInputVal(existing.value != null ? String(existing.value) : '');
+      const unit = displayUnitFor(movementForDate(selectedDate).unit || existing.unit, unitPref);
+      setAttempts(attemptsFromEntry(entryForInput(existing, unit), unit));
       setInputNotes(existing.notes || '');
+      setDetails(detailsForm(existing));
       return;
     }
 
-    // Otherwise, carry forward notes from the most recent prior entry for the same movement.
+    // Otherwise, carry forward notes from the most recent prior entry for the same movement,
+    // and equipment settings from the most recent one that had any. RPE, pain and tags start fresh.
     const mov = movementForDate(selectedDate);
     const priorForMovement = mine
       .filter(e => e.movement === mov.name && e.date < targetISO)
-      .sort((a, b) => a.date.localeCompare(b.date))
-      .pop();
+      .sort((a, b) => a.date.localeCompare(b.date));
+    const lastSettings = priorForMovement.filter(e => e.settings && Object.keys(e.settings).length).pop();
+
+    setAttempts([emptyAttempt()]);
+    setInputNotes(priorForMovement[priorForMovement.length - 1]?.notes || '');
+    setDetails({ ...emptyDetails(), settings: settingsRows(lastSettings?.settings) });
+  }, [selectedDate, session, allEntries, unitPref]);
+
+  /* ---- Training-day reminders ---- */
+  function storeReminder(next) {
+    setReminder(next);
+    if (next) localStorage.setItem('mom3nt_reminder', JSON.stringify(next));
+    else localStorage.removeItem('mom3nt_reminder');
+  }
+
+  async function setReminders(enabled, time = reminder?.time || DEFAULT_REMINDER_TIME) {
+    if (!enabled) {
+      const { error } = await disableReminders(repo, reminder?.endpoint);
+      if (error) console.error('Reminder not removed:', error);
+      return storeReminder(null);
+    }
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const { endpoint, error } = await enableReminders(repo, { time, timeZone, locale: getLocale() });
+    if (error) return alert(error.message);
+    storeReminder({ endpoint, time });
+  }
 
-    setInputVal('');
-    setInputNotes(priorForMovement?.notes || '');
-  }, [selectedDate, session, entries]);
+  // Language is kept per device, like reminders; a reminder already set up is re-saved in the new language
+  function changeLocale(next) {
+    setLocale(next);
+    if (reminder) setReminders(true);
+  }
 
   /* ---- Save profile ---- */
   async function saveProfile() {
     if (!session) return;
     const trimmed = (name || '').trim();
     const g = gender || null;
-    const { error } = await supabase.from('profiles').upsert({
+    const year = birthYear ? parseInt(birthYear, 10) : null;
+    if (year != null && !(year >= 1900 && year <= new Date().getFullYear())) return alert(t('Enter a 4-digit birth year.'));
+    const bw = bodyweight ? parseFloat(bodyweight) : null;
+    if (bw != null && !(bw > 0)) return alert(t('Bodyweight must be a positive number.'));
+    const { error } = await repo.profiles.save({
       id: session.user.id,
       name: trimmed || null,
       gender: g,
+      unit_pref: unitPref || null,
+      display_name: displayName.trim() || null,
+      leaderboard_opt_out: optOut,
+      birth_year: year,
+      bodyweight: bw,
+      bodyweight_unit: bw != null ? bodyweightUnit : null,
     });
     if (error) return alert(error.message);
-    alert('Profile saved!');
+    await reloadAthletes();
+    alert(t('Profile saved!'));
     setProfileOpen(false);
   }
 
   /* ---- Save entry (UPSERT on user_id+date) ---- */
   async function saveEntry() {
-    if (!session) return alert('Please sign in first (use code).');
-    if (!name.trim() || !gender) { setProfileOpen(true); return; }
+    if (!session) return alert(t('Please sign in first (use code).'));
+    if (!name.trim()) { setProfileOpen(true); return; }
 
     const mov = movementForDate(selectedDate);
     if (mov.name === 'TBD') {
-      alert('This date is not in an active cycle yet. Entry is disabled.');
+      alert(t('This date is not in an active cycle yet. Entry is disabled.'));
       return;
     }
 
-    const v = parseFloat(inputVal);
-    if (!v || v <= 0) return alert('Enter a positive number.');
+    // Time movements are stored as seconds; the day's score is the best attempt
+    // Stored in the unit it was entered in; everything else converts on display
+    const unit = displayUnitFor(mov.unit, unitPref);
+    const parsed = parseAttempts(attempts, unit);
+    if (parsed.error) return alert(parsed.error);
+    const v = bestAttempt(parsed.attempts, mov).value;
 
     const notes = (inputNotes || '').trim();
 
-    // Clear inputs after save click (keeps UI snappy)
-    setInputVal('');
+    // Clear inputs after save click (keeps UI snappy); the saved row prefills next
+    prefillRef.current.dirty = false;
+    setAttempts([emptyAttempt()]);
     setInputNotes('');
+    setDetails(emptyDetails());
+
+    const date = selectedDate;
+    const pr = checkPR(myEntries, mov, date, v);
 
     const row = {
       user_id: session.user.id,
-      date: isoLocal(selectedDate),
+      date,
       movement: mov.name,
       value: v,
-      unit: mov.unit,
+      attempts: parsed.attempts,
+      unit,
       name: name.trim(),
-      gender,
+      gender: gender || null,
       notes: notes || null,
+      rpe: sessionRpe(parsed.attempts),
+      ...detailsFromForm(details),
     };
 
-    const { error } = await supabase
-      .from('entries')
-      .upsert(row, { onConflict: ['user_id', 'date'] }); // unique on (user_id,date)
-    if (error) return alert(error.message);
+    const { error } = navigator.onLine
+      ? await upsertEntry(row)
+      : { error: new Error('offline') };
+    if (error && !isNetworkError(error)) return alert(error.message);
+    setNewPR(pr ? { ...pr, movement: mov.name, unit } : null);
+    if (catchUp) jumpToNextUnlogged(date, new Set([...calendarMarks.logged, date]));
+
+    if (error) {
+      // No signal: keep it in the outbox and replay when we're back online
+      await queueEntry(row);
+      await refreshPending();
+      return;
+    }
+    mergeEntries([row]);
+  }
 
-    const { data } = await supabase.from('entries').select('*').order('date', { ascending: true });
-    setEntries(data || []);
+  /* ---- Share a result as an image ---- */
+  async function openShare(entry) {
+    const card = shareCardData(entry, myEntries, { isPR: calendarMarks.prs.has(entry.date) });
+    try {
+      const blob = await renderShareCard(card);
+      setSharing({ card, blob, url: URL.createObjectURL(blob) });
+    } catch (e) {
+      alert(e.message);
+    }
+  }
+
+  function closeShare() {
+    URL.revokeObjectURL(sharing.url);
+    setSharing(null);
+  }
+
+  async function sendShare() {
+    const { card, blob } = sharing;
+    const result = await shareImage(blob, shareFileName(card), `${card.movement}: ${card.value} ${card.unit}`.trim());
+    if (result !== 'cancelled') closeShare();
   }
 
+  /* ---- Catch-up: next programmed day without a result in the active cycle ---- */
+  function jumpToNextUnlogged(after = selectedDate, logged = calendarMarks.logged) {
+    const idx = getCurrentCycleIndex();
+    const cycle = idx >= 0 ? CYCLES[idx] : getCycleForDate(selectedDate);
+    const next = nextUnloggedDay(logged, cycle, after);
+    if (!next) return alert(t("You're all caught up in this cycle."));
+    setSelectedDate(next);
+    setMonthDate(fromISO(next));
+  }
+
+  /* ---- Import (rows already validated by the wizard) ---- */
+  // New days get a whole row. Days already logged only get the imported columns, so
+  // their notes and details survive unless the file has them, and a multi-attempt
+  // log is kept as it is.
+  async function importEntries(records) {
+    if (!name.trim()) return { error: new Error(t('Set your name in Profile before importing.')) };
+    const columns = (r) => ({ movement: r.movement, value: r.value, unit: r.unit, ...r.details });
+    const rows = records.filter((r) => !r.existing).map((r) => ({
+      user_id: session.user.id,
+      date: r.date,
+      ...columns(r),
+      attempts: [{ value: r.value, ...(r.details.rpe != null && { rpe: r.details.rpe }) }],
+      name: name.trim(),
+      gender: gender || null,
+    }));
+    if (rows.length) {
+      const { error } = await repo.entries.upsert(rows);
+      if (error) return { error };
+      mergeEntries(rows);
+    }
+    const overwrites = records.filter((r) => r.existing);
+    for (const r of overwrites) {
+      const patch = columns(r);
+      if (!(r.existing.attempts?.length > 1)) {
+        const attempt = { ...(r.existing.attempts?.[0] || {}), value: r.value };
+        if ('rpe' in r.details) attempt.rpe = r.details.rpe ?? undefined;
+        patch.attempts = [attempt];
+      }
+      const { error } = await repo.entries.update(r.existing, patch);
+      if (error) return { error };
+    }
+    // The wizard sees rows in the preferred unit, so overwritten days are read back
+    if (overwrites.length) await reloadEntries();
+    return { error: null };
+  }
+
+  const upsertEntry = (row) => repo.entries.upsert(row); // unique on (user_id,date)
+
+  // Own entries only; the cached copy shows straight away while the request runs
+  async function reloadEntries() {
+    const userId = session.user.id;
+    await swr(`entries:${userId}`, () => repo.entries.listForUser(userId), (data) => setEntries(data || []));
+  }
+
+  function removeEntry(row) {
+    setEntries((prev) => {
+      const next = prev.filter((e) => outboxKey(e) !== outboxKey(row));
+      writeCache(`entries:${session.user.id}`, next);
+      return next;
+    });
+  }
+
+  // Saved rows folded into local state instead of refetching (same user_id+date wins)
+  function mergeEntries(rows) {
+    setEntries((prev) => {
+      const saved = new Map(rows.map((r) => [outboxKey(r), r]));
+      const next = [...prev.filter((e) => !saved.has(outboxKey(e))), ...saved.values()]
+        .sort((a, b) => a.date.localeCompare(b.date));
+      writeCache(`entries:${session.user.id}`, next);
+      return next;
+    });
+  }
+
+  // Display names and divisions for everyone on the leaderboard
+  async function reloadAthletes() {
+    await swr('athletes', () => repo.profiles.directory(), (data) => setAthletes(directoryFromRows(data || [])));
+  }
+
+  async function refreshPending() {
+    try {
+      setPending((await listQueued()).map((item) => item.row));
+    } catch (e) {
+      console.error('Outbox unavailable:', e);
+    }
+  }
+
+  /* ---- Offline outbox replay ---- */
+  async function syncOutbox() {
+    const { synced: keys, rejected } = await flushOutbox(upsertEntry);
+    if (keys.length) {
+      setSynced((prev) => new Set([...prev, ...keys]));
+      await reloadEntries();
+    }
+    await refreshPending();
+    if (rejected.length) {
+      alert(`${t('Some offline entries could not be saved:')}\n${rejected.map((r) => `${formatDate(r.row.date)}: ${r.error.message}`).join('\n')}`);
+    }
+  }
+  const syncOutboxRef = useRef(syncOutbox);
+  syncOutboxRef.current = syncOutbox;
+  const reloadEntriesRef = useRef(reloadEntries);
+  reloadEntriesRef.current = reloadEntries;
+
+  useEffect(() => {
+    if (!session) return;
+    syncOutboxRef.current();
+    const goOnline = () => { setOnline(true); syncOutboxRef.current(); };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [session]);
+
   const myEntries = useMemo(() => {
     if (!session) return [];
-    return entries.filter((e) => e.user_id === session.user.id);
-  }, [entries, session]);
+    return inPreferredUnits(allEntries.filter((e) => e.user_id === session.user.id), CYCLES, unitPref);
+  }, [allEntries, session, unitPref, CYCLES]);
+
+  /* ---- Calendar marks: logged days, PR days and streaks ---- */
+  const calendarMarks = useMemo(() => {
+    const logged = new Set(myEntries.map((e) => e.date));
+    const prs = new Set();
+    for (const movementName of new Set(myEntries.map((e) => e.movement))) {
+      const movement = getMovementByName(movementName) || { name: movementName };
+      prHistory(myEntries, movement).forEach((p) => prs.add(p.date));
+    }
+    return { logged, prs };
+  }, [myEntries]);
+
+  const streaks = useMemo(() => loggingStreaks(calendarMarks.logged, todayISO(), CYCLES), [calendarMarks, CYCLES]);
+
+  // Local backend: no push server, so check once a minute and hand due reminders to the service worker
+  const loggedRef = useRef(calendarMarks.logged);
+  loggedRef.current = calendarMarks.logged;
+  useEffect(() => {
+    if (!session || !isLocalBackend || !reminder) return;
+    const server = createLocalPushServer({
+      repo,
+      logged: (date) => loggedRef.current.has(date),
+      movementFor: (date) => movementForDate(date).name,
+    });
+    server.tick();
+    const timer = setInterval(() => server.tick(), 60000);
+    return () => clearInterval(timer);
+  }, [session, reminder]);
 
   /* ---- Leaderboard ---- */
-  const todaysMovement = movementForDate(new Date());
+  const todaysMovement = movementForDate(todayISO());
 
   const leaderboardOptions = useMemo(() => {
-    const idx = getCurrentCycleIndex(new Date());
+    const idx = getCurrentCycleIndex();
     const currentCycle = idx >= 0 ? CYCLES[idx] : CYCLES[CYCLES.length - 1];
     if (!currentCycle) return [];
     return WEEKDAY_ORDER
       .map(wd => currentCycle.weekTemplate[wd])
       .filter(Boolean)
       .map(m => ({ name: m.name, unit: m.unit || '' }));
-  }, []);
+  }, [CYCLES]);
 
   useEffect(() => {
     const todayName =
@@ -462,65 +657,157 @@ export default function App() {
     setLbMovementName(prev => prev || todayName);
   }, [todaysMovement, leaderboardOptions]);
 
-  const leaderboard = useMemo(() => {
-    if (!lbMovementName) return { male: [], female: [], unit: '' };
-    const movementUnit = getMovementUnitByName(lbMovementName);
-    const LOWER_BETTER_MOVES = new Set(['.1 Distance Run', '.25 Assault Bike', '.25 Distance Run', '200 Meter Ski']);
-    const lowerIsBetter = movementUnit === 'time' || LOWER_BETTER_MOVES.has(lbMovementName);
-    const rows = entries.filter(
-      (e) =>
-        e.movement === lbMovementName &&
-        (e.gender === 'male' || e.gender === 'female')
-    );
-    const bestMale = new Map();
-    const bestFemale = new Map();
-    const isBetter = (newVal, prevVal) =>
-      lowerIsBetter ? Number(newVal) < Number(prevVal) : Number(newVal) > Number(prevVal);
-
-    for (const r of rows) {
-      const key = (r.name || 'Member').trim() || 'Member';
-      const bucket = r.gender === 'male' ? bestMale : bestFemale;
-      const prev = bucket.get(key);
-      if (!prev || isBetter(r.value, prev.value)) bucket.set(key, r);
+  const lbMovement = getMovementByName(lbMovementName);
+  // Everyone's results in the viewer's units so lbs and kgs entries rank together
+  const lbUnit = displayUnitFor(lbMovement?.unit || '', unitPref);
+  const lbRange = useMemo(
+    () => windowRange(lbWindow, { cycles: CYCLES, cycleId: lbCycleId }),
+    [lbWindow, lbCycleId, CYCLES],
+  );
+
+  // The server picks each athlete's best; only those rows come down
+  const lbKeyRef = useRef('');
+  useEffect(() => {
+    if (!session || !lbMovementName) return;
+    let live = true;
+    const query = {
+      movement: lbMovementName,
+      from: lbRange?.start || null,
+      to: lbRange?.end || null,
+      direction: directionFor(lbMovement),
+      unit: lbUnit || null,
+      target: lbMovement?.target || null,
+    };
+    // Relative strength comes back as ratios: bodyweights stay on the server
+    const relative = lbView === 'relative' && supportsRelative(lbMovement);
+    const key = `lb:${relative ? 'relative:' : ''}${JSON.stringify(query)}`;
+    // A new query starts blank; a refresh of the same one keeps its rows on screen
+    if (lbKeyRef.current !== key) setLbRows([]);
+    lbKeyRef.current = key;
+    const load = relative ? () => repo.leaderboard.relative(query) : () => repo.leaderboard.best(query);
+    swr(key, load, (data) => { if (live) setLbRows(data || []); });
+    return () => { live = false; };
+  }, [session, lbMovementName, lbMovement, lbUnit, lbRange, lbView, lbRefresh]);
+
+  /* ---- Live updates: realtime channel, polling when it's down ---- */
+  const lbRowsRef = useRef(lbRows);
+  lbRowsRef.current = lbRows;
+  const onEntryChangeRef = useRef(null);
+  onEntryChangeRef.current = (change) => {
+    const row = change.row || change.old;
+    // Deletes only carry the primary key. entry_results' (user_id, date) is
+    // enough; without one there's no telling whose entry went, so reload ours.
+    if (!row) {
+      if (change.type === 'delete' && !change.partial) reloadEntriesRef.current();
+      return;
     }
+    // Own rows (another device, a coach's edit) update the calendar; the
+    // leaderboard reads them from local state too
+    if (row.user_id === session.user.id) {
+      if (change.type === 'delete') return removeEntry(row);
+      if (change.partial) return; // score-only copy; the full row arrives separately
+      mergeEntries([change.row]);
+      return;
+    }
+    if (!lbMovementName) return;
+    // Ratios can't be updated from a raw result; ask the server again
+    if (lbView === 'relative') return setLbRefresh((n) => n + 1);
+    const scoring = { direction: directionFor(lbMovement), target: lbMovement?.target };
+    const next = applyBestChange(lbRowsRef.current, change, { movement: lbMovementName, range: lbRange, unit: lbUnit, scoring });
+    if (!next) return setLbRefresh((n) => n + 1);
+    lbRowsRef.current = next;
+    setLbRows(next);
+  };
 
-    const sortFn = lowerIsBetter
-      ? (a, b) => Number(a.value) - Number(b.value)
-      : (a, b) => Number(b.value) - Number(a.value);
+  useEffect(() => {
+    if (!session) return;
+    let wasDown = false;
+    return repo.entries.subscribe(
+      (change) => onEntryChangeRef.current(change),
+      (status) => {
+        // Back from an outage: catch up on whatever the channel missed
+        if (status === 'live' && wasDown) {
+          reloadEntriesRef.current();
+          setLbRefresh((n) => n + 1);
+        }
+        wasDown = status === 'down';
+        setLive(status);
+      },
+    );
+  }, [session]);
 
-    const top5 = (m) => Array.from(m.values()).sort(sortFn).slice(0, 5);
-    return { male: top5(bestMale), female: top5(bestFemale), unit: movementUnit };
-  }, [entries, lbMovementName]);
+  useEffect(() => {
+    if (!session || live === 'live') return;
+    const timer = setInterval(() => {
+      if (!navigator.onLine) return;
+      reloadEntriesRef.current();
+      setLbRefresh((n) => n + 1);
+    }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [session, live]);
+
+  // Coaches: one summary row per member and name, not every entry
+  useEffect(() => {
+    if (!session || !isCoach) return;
+    swr('name-variants', () => repo.entries.nameVariants(), (data) => setNameVariants(data || []));
+  }, [session, isCoach]);
+
+  const leaderboard = useMemo(() => {
+    if (!lbMovementName) return { groups: [], unit: '', view: lbView };
+    const unit = lbUnit;
+    const range = lbRange;
+    // Own rows come from local state (saves and queued offline entries show at once);
+    // ranking still keeps each athlete's best
+    // Relative strength is a ratio (higher is better), only offered for loads
+    const view = lbView === 'relative' && !supportsRelative(lbMovement) ? 'division' : lbView;
+    let mine = allEntries.filter((e) => e.movement === lbMovementName && inRange(e, range));
+    if (view === 'relative') {
+      // Other members' ratios come from the server; ours use the profile's bodyweight
+      const ownKg = parseFloat(bodyweight) > 0 ? toKg(parseFloat(bodyweight), bodyweightUnit) : null;
+      mine = mine.map((e) => relativeRow(e, ownKg)).filter(Boolean);
+    }
+    // One line per account; name and division come from the profile, not the entry
+    const rows = [...lbRows.filter((e) => e.user_id !== session?.user.id), ...mine]
+      .map((e) => ({ ...entryInUnit(e, unit), athlete: athleteFor(e, athletes) }))
+      .filter((r) => !r.athlete.optOut);
+    const keyOf = (r) => r.user_id;
+    const scoring = view === 'relative' ? { direction: 'higher' } : lbMovement;
+    const groups = groupRows(rows, view, { division: lbDivision, unit: displayUnitFor('lbs', unitPref) })
+      .map((g) => ({ ...g, ranked: rankAthletes(g.rows, scoring, keyOf) }));
+    return { groups, unit: view === 'relative' ? '× BW' : unit, range, view };
+  }, [allEntries, lbRows, session, athletes, lbMovementName, lbMovement, lbUnit, lbRange, unitPref, lbView, lbDivision, bodyweight, bodyweightUnit]);
+
+  const nameIssues = useMemo(
+    () => (isCoach ? nameInconsistencies(nameVariants, athletes) : []),
+    [isCoach, nameVariants, athletes],
+  );
 
   /* ---------- LOGIN UI ---------- */
   if (!session) {
     async function sendCode() {
-      if (!email) return alert('Enter your email');
-      const { error } = await supabase.auth.signInWithOtp({
-        email,
-        options: { emailRedirectTo: SITE_URL },
-      });
+      if (!email) return alert(t('Enter your email'));
+      const { error } = await repo.auth.sendCode(email, SITE_URL);
       if (error) alert(error.message);
-      else alert('Code sent! Check your email for the 6-digit code.');
+      else alert(isLocalBackend ? t('Demo mode: enter any 6-digit code.') : t('Code sent! Check your email for the 6-digit code.'));
     }
     async function verifySixDigitCode() {
-      if (!email) return alert('Enter your email above first');
+      if (!email) return alert(t('Enter your email above first'));
       if (!/^\d{6}$/.test((otp || '').trim()))
-        return alert('Enter the 6-digit code from the email');
-      const { data, error } = await supabase.auth.verifyOtp({
-        email,
-        token: otp.trim(),
-        type: 'email',
-      });
+        return alert(t('Enter the 6-digit code from the email'));
+      const { session: s, error } = await repo.auth.verifyCode(email, otp.trim());
       if (error) return alert(error.message);
-      setSession(data?.session || null);
+      setSession(s);
     }
 
     return (
       <div style={{display:'grid',placeItems:'center',height:'100vh',background:'#000',color:'#fff',textAlign:'center',padding:16}}>
         <div style={{maxWidth:360, width:'100%', background:'#111', borderRadius:12, padding:16, border:'1px solid #333'}}>
           <h1 style={{marginBottom:8}}>MOM3NT DATA</h1>
-          <p style={{marginBottom:12, opacity:.9}}>Sign in with the 6-digit code sent to your email.</p>
+          <p style={{marginBottom:12, opacity:.9}}>
+            {isLocalBackend
+              ? t('Demo mode: data stays on this device. Use any email and any 6-digit code.')
+              : t('Sign in with the 6-digit code sent to your email.')}
+          </p>
           <input
             type="email"
             placeholder="you@example.com"
@@ -532,14 +819,14 @@ export default function App() {
             onClick={sendCode}
             style={{width:'100%',padding:'10px',borderRadius:10,border:'1px solid #111',background:'#dca636',color:'#000',fontWeight:700,marginBottom:12}}
           >
-            Send Code
+            {t('Send Code')}
           </button>
           <input
             type="tel"
             inputMode="numeric"
             pattern="[0-9]*"
             maxLength={6}
-            placeholder="Enter 6-digit code"
+            placeholder={t('Enter 6-digit code')}
             value={otp}
             onChange={(e)=>setOtp(e.target.value.replace(/\D/g,''))}
             style={{width:'100%',padding:'10px',borderRadius:10,border:'1px solid #444',marginBottom:8,background:'#111',color:'#fff',letterSpacing:2,textAlign:'center',fontWeight:700}}
@@ -548,8 +835,11 @@ export default function App() {
             onClick={verifySixDigitCode}
             style={{width:'100%',padding:'10px',borderRadius:10,border:'1px solid #333',background:'#fff',color:'#000',fontWeight:700}}
           >
-            Verify & Sign In
+            {t('Verify & Sign In')}
           </button>
+          <select value={locale} onChange={(e)=>setLocale(e.target.value)} aria-label={t('Language')} style={{marginTop:12,padding:'4px 8px',borderRadius:8,border:'1px solid #444',background:'#111',color:'#fff'}}>
+            {LOCALES.map((l) => <option key={l.value} value={l.value}>{l.label}</option>)}
+          </select>
         </div>
       </div>
     );
@@ -562,17 +852,36 @@ export default function App() {
         position:'sticky',top:0,zIndex:10,display:'flex',alignItems:'center',justifyContent:'space-between',gap:8,
         padding:'12px 12px',background:'#000',color:'#fff'
       }}>
-        <strong style={{whiteSpace:'nowrap'}}>MOM3NT DATA</strong>
+        <div style={{display:'flex',alignItems:'center',gap:6}}>
+          <strong style={{whiteSpace:'nowrap'}}>MOM3NT DATA</strong>
+          {(!online || pending.length > 0) && (
+            <span style={{fontSize:11,color:'#dca636',whiteSpace:'nowrap'}}>
+              {online ? '' : t('Offline')}{!online && pending.length ? ' • ' : ''}{pending.length ? `⏳ ${t('{n} pending', { n: pending.length })}` : ''}
+            </span>
+          )}
+        </div>
         <div style={{display:'flex',gap:8,flexWrap:'wrap',justifyContent:'center'}}>
-          <button onClick={()=>setTab('calendar')} style={{background:'transparent',color: tab==='calendar' ? '#dca636' : '#fff', border:'1px solid #333', borderRadius:10, padding:'6px 10px'}}>Calendar</button>
-          <button onClick={()=>setTab('database')} style={{background:'transparent',color: tab==='database' ? '#dca636' : '#fff', border:'1px solid #333', borderRadius:10, padding:'6px 10px'}}>Database</button>
-          <button onClick={()=>setTab('leaderboard')} style={{background:'transparent',color: tab==='leaderboard' ? '#dca636' : '#fff', border:'1px solid #333', borderRadius:10, padding:'6px 10px'}}>Leaderboard</button>
-          <button onClick={()=>setProfileOpen(true)} style={{background:'#111',color:'#fff',border:'1px solid #333',borderRadius:10,padding:'6px 10px'}}>Profile</button>
+          <button onClick={()=>setTab('calendar')} style={{background:'transparent',color: tab==='calendar' ? '#dca636' : '#fff', border:'1px solid #333', borderRadius:10, padding:'6px 10px'}}>{t('Calendar')}</button>
+          <button onClick={()=>setTab('database')} style={{background:'transparent',color: tab==='database' ? '#dca636' : '#fff', border:'1px solid #333', borderRadius:10, padding:'6px 10px'}}>{t('Database')}</button>
+          <button onClick={()=>setTab('leaderboard')} style={{background:'transparent',color: tab==='leaderboard' ? '#dca636' : '#fff', border:'1px solid #333', borderRadius:10, padding:'6px 10px'}}>{t('Leaderboard')}</button>
+          {isCoach && (
+            <button onClick={()=>setTab('coach')} style={{background:'transparent',color: tab==='coach' ? '#dca636' : '#fff', border:'1px solid #333', borderRadius:10, padding:'6px 10px'}}>{t('Coach')}</button>
+          )}
+          {isCoach && (
+            <button onClick={()=>setTab('programs')} style={{background:'transparent',color: tab==='programs' ? '#dca636' : '#fff', border:'1px solid #333', borderRadius:10, padding:'6px 10px'}}>{t('Programs')}</button>
+          )}
+          <button onClick={()=>setProfileOpen(true)} style={{background:'#111',color:'#fff',border:'1px solid #333',borderRadius:10,padding:'6px 10px'}}>{t('Profile')}</button>
           <button
-            onClick={async ()=>{ await supabase.auth.signOut(); setSession(null); }}
+            onClick={async ()=>{
+              if (reminder) await setReminders(false);
+              await repo.auth.signOut();
+              clearCache();
+              navigator.serviceWorker?.controller?.postMessage({ type: 'clear-data-cache' });
+              setSession(null);
+            }}
             style={{background:'#dca636',color:'#000',border:'1px solid #333',borderRadius:10,padding:'6px 10px',fontWeight:700}}
           >
-            Sign Out
+            {t('Sign Out')}
           </button>
         </div>
       </header>
@@ -582,7 +891,7 @@ export default function App() {
           <section>
             <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom: isMobile ? 6 : 8, color:'#000'}}>
               <button onClick={()=>setMonthDate(new Date(monthDate.getFullYear(), monthDate.getMonth()-1, 1))}>◀︎</button>
-              <div style={{fontWeight:700, color:'#000'}}>{monthLabel(monthDate)}</div>
+              <div style={{fontWeight:700, color:'#000'}}>{formatMonth(monthDate)}</div>
               <button onClick={()=>setMonthDate(new Date(monthDate.getFullYear(), monthDate.getMonth()+1, 1))}>▶︎</button>
             </div>
 
@@ -592,11 +901,23 @@ export default function App() {
                 isMobile={isMobile}
                 selectedDate={selectedDate}
                 setSelectedDate={setSelectedDate}
-                inputVal={inputVal}
-                setInputVal={setInputVal}
+                attempts={attempts}
+                setAttempts={editForm(setAttempts)}
                 inputNotes={inputNotes}
-                setInputNotes={setInputNotes}
+                setInputNotes={editForm(setInputNotes)}
+                details={details}
+                setDetails={editForm(setDetails)}
                 saveEntry={saveEntry}
+                newPR={newPR && newPR.date === selectedDate ? newPR : null}
+                unitPref={unitPref}
+                syncStatus={entrySyncStatus(myEntries.find((e) => e.date === selectedDate), synced)}
+                marks={calendarMarks}
+                streaks={streaks}
+                catchUp={catchUp}
+                setCatchUp={setCatchUp}
+                onNextUnlogged={() => jumpToNextUnlogged()}
+                onDismissPR={() => setNewPR(null)}
+                onShare={myEntries.some((e) => e.date === selectedDate) ? () => openShare(myEntries.find((e) => e.date === selectedDate)) : null}
               />
             </div>
           </section>
@@ -604,179 +925,621 @@ export default function App() {
 
         {tab === 'database' && (
           <section>
-            <DatabaseSection dbView={dbView} setDbView={setDbView} myEntries={myEntries} />
+            <DatabaseSection
+              dbView={dbView}
+              setDbView={setDbView}
+              cycleId={dbCycleId}
+              setCycleId={setDbCycleId}
+              myEntries={myEntries}
+              unitPref={unitPref}
+              onImport={importEntries}
+              userId={session.user.id}
+              isCoach={isCoach}
+              athletes={athletes}
+              onChanged={reloadEntries}
+            />
           </section>
         )}
 
-        {tab === 'leaderboard' && (
+        {tab === 'coach' && isCoach && (
           <section>
-            <div style={{background:'#fff',borderRadius:12,padding:12,boxShadow:'0 1px 2px rgba(0,0,0,.06)', color:'#000'}}>
-
-              <div style={{ display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginBottom:8 }}>
-                <div style={{ fontWeight:700 }}>Leaderboard</div>
-                <span style={{ fontSize:12, opacity:.8 }}>Movement:</span>
-                <select
-                  value={lbMovementName}
-                  onChange={(e)=>setLbMovementName(e.target.value)}
-                  style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 }}
-                >
-                  {lbMovementName && !leaderboardOptions.find(o => o.name === lbMovementName) && (
-                    <option value={lbMovementName}>{lbMovementName}</option>
-                  )}
-                  {leaderboardOptions.map(opt => (
-                    <option key={opt.name} value={opt.name}>{opt.name}</option>
-                  ))}
-                </select>
-                {leaderboard.unit && (
-                  <span style={{ fontSize:12, opacity:.7 }}>
-                    &nbsp;• Units: {leaderboard.unit}
-                  </span>
-                )}
-              </div>
+            <CoachSection
+              athletes={athletes}
+              unitPref={unitPref}
+              member={coachMember}
+              setMember={setCoachMember}
+            />
+          </section>
+        )}
 
-              <div style={{fontSize:12,color:'#000'}}>Selected movement</div>
-              <div style={{fontWeight:700,marginBottom:8,color:'#000'}}>
-                {lbMovementName || '—'} {leaderboard.unit ? <span style={{fontSize:12}}>({leaderboard.unit})</span> : null}
-              </div>
+        {tab === 'programs' && isCoach && (
+          <section>
+            <ProgramEditor />
+            <NameCheckSection issues={nameIssues} />
+          </section>
+        )}
 
-              <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:8}}>
-                {['male','female'].map((g) => (
-                  <div key={g} style={{background:'#f6f7f9',border:'1px solid #eee',borderRadius:12,padding:10, color:'#000'}}>
-                    <div style={{fontWeight:700,textTransform:'capitalize', color:'#000'}}>Top 5 {g}</div>
-                    <ol style={{marginTop:6,display:'grid',gap:6}}>
-                      {leaderboard[g].length ? leaderboard[g].map((r,i)=>(
-                        <li
-                          key={r.id}
-                          style={{
-                            display: 'grid',
-                            gridTemplateColumns: '1fr auto auto',
-                            alignItems: 'center',
-                            gap: 8,
-                            background: '#fff',
-                            border: '1px solid #eee',
-                            borderRadius: 10,
-                            padding: '8px 10px',
-                            color: '#000',
-                            whiteSpace: 'nowrap'
-                          }}
-                        >
-                          <span style={{ fontSize: 14 }}>
-                            {i + 1}. {(r.name || 'Member').split(' ')[0]}
-                          </span>
-                          <span style={{ fontSize: 14, fontWeight: 700, textAlign: 'right' }}>
-                            {r.value}
-                          </span>
-                          <span style={{ fontSize: 12, opacity: 0.8, marginLeft: 6 }}>
-                            {leaderboard.unit || ''}
-                          </span>
-                        </li>
-                      )) : <div style={{fontSize:12,color:'#000'}}>No entries yet.</div>}
-                    </ol>
-                  </div>
-                ))}
-              </div>
-            </div>
+        {tab === 'leaderboard' && (
+          <section>
+            <LeaderboardSection
+              leaderboard={leaderboard}
+              currentOptions={leaderboardOptions}
+              movementName={lbMovementName}
+              setMovementName={setLbMovementName}
+              timeWindow={lbWindow}
+              setTimeWindow={setLbWindow}
+              cycleId={lbCycleId}
+              setCycleId={setLbCycleId}
+              userId={session.user.id}
+              optedOut={optOut}
+              view={lbView}
+              setView={setLbView}
+              division={lbDivision}
+              setDivision={setLbDivision}
+              canRelative={supportsRelative(lbMovement)}
+              live={live === 'live'}
+            />
           </section>
         )}
       </main>
 
+      {/* Share preview */}
+      {sharing && (
+        <div style={{position:'fixed',inset:0,background:'rgba(0,0,0,.5)',display:'grid',placeItems:'center',padding:16}}>
+          <div style={{background:'#111',borderRadius:12,padding:16,width:'min(92vw,420px)',color:'#fff'}}>
+            <div style={{fontWeight:700,marginBottom:8}}>{t('Share result')}</div>
+            <img src={sharing.url} alt={t('{movement} result card', { movement: sharing.card.movement })} style={{width:'100%',borderRadius:8,display:'block'}} />
+            <div style={{display:'flex',justifyContent:'space-between',gap:8,marginTop:12}}>
+              <button onClick={closeShare} style={{padding:'8px 12px',border:'1px solid #333',borderRadius:10,background:'transparent',color:'#fff'}}>{t('Close')}</button>
+              <button onClick={sendShare} style={{padding:'8px 12px',border:'1px solid #dca636',borderRadius:10,background:'#dca636',color:'#000',fontWeight:700}}>{t('Share / Save image')}</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Profile modal */}
       {profileOpen && (
         <div style={{position:'fixed',inset:0,background:'rgba(0,0,0,.5)',display:'grid',placeItems:'center',padding:16}}>
           <div style={{background:'#fff',borderRadius:12,padding:16,width:'min(92vw,420px)'}}>
-            <div style={{fontWeight:700,marginBottom:8,color:'#000'}}>Profile</div>
+            <div style={{fontWeight:700,marginBottom:8,color:'#000'}}>{t('Profile')}</div>
             <div style={{display:'grid',gap:8,color:'#000'}}>
               <div>
-                <div style={{fontSize:12,color:'#000'}}>Name</div>
-                <input value={name} onChange={(e)=>setName(e.target.value)} placeholder="First Last" style={{width:'100%',padding:10,border:'1px solid #ddd',borderRadius:10}}/>
+                <div style={{fontSize:12,color:'#000'}}>{t('Name')}</div>
+                <input value={name} onChange={(e)=>setName(e.target.value)} placeholder={t('First Last')} style={{width:'100%',padding:10,border:'1px solid #ddd',borderRadius:10}}/>
               </div>
               <div>
-                <div style={{fontSize:12,color:'#000'}}>Gender</div>
+                <div style={{fontSize:12,color:'#000'}}>{t('Display name (leaderboard)')}</div>
+                <input value={displayName} onChange={(e)=>setDisplayName(e.target.value)} placeholder={(name || '').trim().split(' ')[0] || t('Nickname')} style={{width:'100%',padding:10,border:'1px solid #ddd',borderRadius:10}}/>
+              </div>
+              <div>
+                <div style={{fontSize:12,color:'#000'}}>{t('Division')}</div>
                 <select value={gender} onChange={(e)=>setGender(e.target.value)} style={{width:'100%',padding:10,border:'1px solid #ddd',borderRadius:10}}>
-                  <option value="">Select</option>
-                  <option value="male">Male</option>
-                  <option value="female">Female</option>
+                  <option value="">{t('Not set (Open only)')}</option>
+                  {DIVISION_OPTIONS.map((d) => <option key={d.value} value={d.value}>{t(d.label)}</option>)}
                 </select>
               </div>
+              <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:8}}>
+                <div>
+                  <div style={{fontSize:12,color:'#000'}}>{t('Birth year')}</div>
+                  <input value={birthYear} onChange={(e)=>setBirthYear(e.target.value.replace(/\D/g, '').slice(0, 4))} inputMode="numeric" placeholder={t('e.g. 1984')} style={{width:'100%',padding:10,border:'1px solid #ddd',borderRadius:10,boxSizing:'border-box'}}/>
+                </div>
+                <div>
+                  <div style={{fontSize:12,color:'#000'}}>{t('Bodyweight')}</div>
+                  <div style={{display:'flex',gap:4}}>
+                    <input value={bodyweight} onChange={(e)=>setBodyweight(e.target.value.replace(/,/g, '.').replace(/[^\d.]/g, ''))} inputMode="decimal" placeholder={t('optional')} style={{width:'100%',minWidth:0,padding:10,border:'1px solid #ddd',borderRadius:10,boxSizing:'border-box'}}/>
+                    <select value={bodyweightUnit} onChange={(e)=>setBodyweightUnit(e.target.value)} style={{padding:6,border:'1px solid #ddd',borderRadius:10}}>
+                      <option value="lbs">lbs</option>
+                      <option value="kgs">kgs</option>
+                    </select>
+                  </div>
+                </div>
+              </div>
+              <div>
+                <div style={{fontSize:12,color:'#000'}}>{t('Weight units')}</div>
+                <select value={unitPref} onChange={(e)=>setUnitPref(e.target.value)} style={{width:'100%',padding:10,border:'1px solid #ddd',borderRadius:10}}>
+                  {UNIT_PREFS.map((u) => <option key={u.value} value={u.value}>{t(u.label)}</option>)}
+                </select>
+              </div>
+              <div>
+                <div style={{fontSize:12,color:'#000'}}>{t('Language')}</div>
+                <select value={locale} onChange={(e)=>changeLocale(e.target.value)} style={{width:'100%',padding:10,border:'1px solid #ddd',borderRadius:10}}>
+                  {LOCALES.map((l) => <option key={l.value} value={l.value}>{l.label}</option>)}
+                </select>
+              </div>
+              <label style={{fontSize:12,color:'#000',display:'flex',gap:6,alignItems:'center'}}>
+                <input type="checkbox" checked={optOut} onChange={(e)=>setOptOut(e.target.checked)} />
+                {t('Hide me from the leaderboard')}
+              </label>
+              <div style={{fontSize:12,color:'#000'}}>
+                <label style={{display:'flex',gap:6,alignItems:'center'}}>
+                  <input type="checkbox" checked={!!reminder} disabled={!pushSupported()} onChange={(e)=>setReminders(e.target.checked)} />
+                  {t('Remind me to log on training days')}
+                </label>
+                {reminder && (
+                  <div style={{display:'flex',gap:6,alignItems:'center',marginTop:4,marginLeft:22}}>
+                    {t('at')}
+                    <input type="time" value={reminder.time} onChange={(e)=>e.target.value && setReminders(true, e.target.value)} style={{padding:4,border:'1px solid #ddd',borderRadius:8}} />
+                    <span style={{opacity:.6}}>{t("on this device, if you haven't logged yet")}</span>
+                  </div>
+                )}
+                {!pushSupported() && <div style={{opacity:.6,marginTop:4}}>{t("This browser doesn't support notifications.")}</div>}
+              </div>
               <div style={{display:'flex',justifyContent:'space-between',gap:8,marginTop:8}}>
                 <button
                   onClick={()=>setProfileOpen(false)}
                   style={{padding:'8px 12px',border:'1px solid #ccc',borderRadius:10,background:'#f0f0f0',color:'#000',cursor:'pointer'}}
                 >
-                  Close
+                  {t('Close')}
                 </button>
                 <button
                   onClick={saveProfile}
                   style={{padding:'8px 12px',border:'1px solid #111',borderRadius:10,background:'#000',color:'#fff',cursor:'pointer'}}
                 >
-                  Save Profile
+                  {t('Save Profile')}
                 </button>
               </div>
-              <div style={{fontSize:12,color:'#000'}}>Your name & gender are saved to your account and included with each entry for the leaderboard.</div>
+              <div style={{fontSize:12,color:'#000'}}>{t('Your results are linked to your account, so changing your name keeps your history together. The leaderboard shows your display name (or first name); birth year and bodyweight place you in age groups and bodyweight classes.')}</div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ================= Leaderboard ================= */
+function LeaderboardSection({ leaderboard, currentOptions, movementName, setMovementName, timeWindow, setTimeWindow, cycleId, setCycleId, userId, optedOut, view, setView, division, setDivision, canRelative, live }) {
+  const CYCLES = useCycles();
+  const [expanded, setExpanded] = useState({}); // group key → showing everyone
+  const [moved, setMoved] = useState(() => new Set()); // rows whose rank or result just changed
+  const lastRanks = useRef({ query: '', ranks: new Map() });
+  const everyMovement = useMemo(() => allMovements(CYCLES), [CYCLES]);
+  const currentNames = new Set(currentOptions.map((o) => o.name));
+  const pastCycles = useMemo(() => {
+    const today = todayISO();
+    return [...CYCLES].filter((c) => getCycleBounds(c).start <= today).reverse();
+  }, [CYCLES]);
+
+  function chooseWindow(next) {
+    setTimeWindow(next);
+    if (next === 'past' && !cycleId && pastCycles.length) setCycleId(pastCycles[Math.min(1, pastCycles.length - 1)].id);
+  }
+
+  // Briefly highlight rows that moved since the last update of the same board
+  useEffect(() => {
+    const query = [movementName, timeWindow, cycleId, view, division].join('|');
+    const ranks = new Map(leaderboard.groups.flatMap((g) =>
+      g.ranked.map((item) => [`${g.key}|${item.key}`, `${item.rank}|${item.row.value}`])));
+    const prev = lastRanks.current;
+    lastRanks.current = { query, ranks };
+    if (prev.query !== query || !prev.ranks.size) return;
+    const changed = [...ranks].filter(([k, v]) => prev.ranks.get(k) !== v).map(([k]) => k);
+    if (!changed.length) return;
+    setMoved(new Set(changed));
+    const timer = setTimeout(() => setMoved(new Set()), 2500);
+    return () => clearTimeout(timer);
+  }, [leaderboard, movementName, timeWindow, cycleId, view, division]);
+
+  const rowStyle = (mine, flash) => ({
+    display: 'grid',
+    gridTemplateColumns: '1fr auto auto',
+    alignItems: 'center',
+    gap: 8,
+    background: flash ? '#fde68a' : mine ? '#fdf6e3' : '#fff',
+    border: mine ? '1px solid #dca636' : '1px solid #eee',
+    transition: 'background .6s',
+    borderRadius: 10,
+    padding: '8px 10px',
+    color: '#000',
+    whiteSpace: 'nowrap'
+  });
+
+  const renderRow = (item, groupKey) => {
+    const r = item.row;
+    const mine = r.user_id === userId;
+    return (
+      <li key={item.key} style={rowStyle(mine, moved.has(`${groupKey}|${item.key}`))}>
+        <span style={{ fontSize: 14, overflow:'hidden', textOverflow:'ellipsis' }}>
+          {item.tied ? `T${item.rank}` : item.rank}. {r.athlete.name}{mine ? ` (${t('you')})` : ''}
+        </span>
+        <span style={{ fontSize: 14, fontWeight: 700, textAlign: 'right' }}>
+          {formatValue(r.value, leaderboard.unit)}
+        </span>
+        <span style={{ fontSize: 12, opacity: 0.8, marginLeft: 6 }}>
+          {leaderboard.unit === 'time' ? '' : leaderboard.unit || ''}
+        </span>
+      </li>
+    );
+  };
+
+  return (
+    <div style={{background:'#fff',borderRadius:12,padding:12,boxShadow:'0 1px 2px rgba(0,0,0,.06)', color:'#000'}}>
+
+      <div style={{ display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginBottom:8 }}>
+        <div style={{ fontWeight:700 }}>{t('Leaderboard')}</div>
+        <span style={{ fontSize:11, color: live ? '#15803d' : '#666' }} title={live ? t('Updates as results come in') : t('Refreshing every {n}s', { n: POLL_MS / 1000 })}>
+          {live ? `● ${t('Live')}` : `○ ${t('Auto-refresh')}`}
+        </span>
+        <span style={{ fontSize:12, opacity:.8 }}>{t('Movement:')}</span>
+        <select
+          value={movementName}
+          onChange={(e)=>setMovementName(e.target.value)}
+          style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8, maxWidth:'100%' }}
+        >
+          {movementName && !everyMovement.find(o => o.name === movementName) && (
+            <option value={movementName}>{movementName}</option>
+          )}
+          <optgroup label={t('This cycle')}>
+            {currentOptions.map(opt => (
+              <option key={opt.name} value={opt.name}>{opt.name}</option>
+            ))}
+          </optgroup>
+          <optgroup label={t('Earlier cycles')}>
+            {everyMovement.filter((m) => !currentNames.has(m.name)).map((m) => (
+              <option key={m.name} value={m.name}>{m.name} — {t(m.cycles[0])}</option>
+            ))}
+          </optgroup>
+        </select>
+      </div>
+
+      <div style={{ display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginBottom:8 }}>
+        <span style={{ fontSize:12, opacity:.8 }}>{t('Window:')}</span>
+        <select value={timeWindow} onChange={(e)=>chooseWindow(e.target.value)} style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 }}>
+          {LEADERBOARD_WINDOWS.map((w) => <option key={w.value} value={w.value}>{t(w.label)}</option>)}
+        </select>
+        {timeWindow === 'past' && (
+          <select value={cycleId} onChange={(e)=>setCycleId(e.target.value)} style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 }}>
+            {pastCycles.map((c) => {
+              const bounds = getCycleBounds(c);
+              return <option key={c.id} value={c.id}>{c.name || formatDate(bounds.start)} ({formatRange(bounds)})</option>;
+            })}
+          </select>
+        )}
+        {leaderboard.range && timeWindow !== 'past' && (
+          <span style={{ fontSize:12, opacity:.7 }}>{formatRange(leaderboard.range)}</span>
+        )}
+      </div>
+
+      <div style={{ display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginBottom:8 }}>
+        <span style={{ fontSize:12, opacity:.8 }}>{t('View:')}</span>
+        <select value={view} onChange={(e)=>setView(e.target.value)} style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 }}>
+          {LEADERBOARD_VIEWS.map((v) => (
+            <option key={v.value} value={v.value} disabled={v.value === 'relative' && !canRelative}>{t(v.label)}</option>
+          ))}
+        </select>
+        {view !== 'division' && (
+          <select value={division} onChange={(e)=>setDivision(e.target.value)} style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 }}>
+            <option value="">{t('All divisions')}</option>
+            {DIVISIONS.map((d) => <option key={d.value} value={d.value}>{t(d.label)}</option>)}
+          </select>
+        )}
+      </div>
+      {leaderboard.view !== view && (
+        <div style={{fontSize:12,opacity:.7,marginBottom:8}}>{t('Relative strength is only available for lbs/kgs movements.')}</div>
+      )}
+      {(view === 'age' || view === 'bodyweight' || view === 'relative') && (
+        <div style={{fontSize:12,opacity:.7,marginBottom:8}}>
+          {view === 'age'
+            ? t("Only athletes who've added their birth year in Profile are shown.")
+            : t("Only athletes who've added their bodyweight in Profile are shown.")}
+        </div>
+      )}
+
+      <div style={{fontSize:12,color:'#000'}}>{t('Selected movement')}</div>
+      <div style={{fontWeight:700,marginBottom:8,color:'#000'}}>
+        {movementName || '—'} {leaderboard.unit ? <span style={{fontSize:12}}>({leaderboard.unit})</span> : null}
+      </div>
+      {optedOut && (
+        <div style={{fontSize:12,opacity:.7,marginBottom:8}}>{t("You're hidden from the leaderboard (change this in Profile).")}</div>
+      )}
+
+      {!leaderboard.groups.length && <div style={{fontSize:12}}>{t('No entries yet.')}</div>}
+      <div style={{display:'grid',gridTemplateColumns:'1fr 1fr',gap:8}}>
+        {leaderboard.groups.map(({ key: g, label, ranked }) => {
+          const showAll = !!expanded[g];
+          const visible = showAll ? ranked : ranked.slice(0, 5);
+          // Keep the signed-in athlete visible even when they're outside the top 5
+          const mine = !showAll ? ranked.slice(5).find((item) => item.row.user_id === userId) : null;
+          return (
+            <div key={g} style={{background:'#f6f7f9',border:'1px solid #eee',borderRadius:12,padding:10, color:'#000', minWidth:0}}>
+              <div style={{fontWeight:700, color:'#000'}}>{t(label)}{ranked.length > 5 ? ` — ${showAll ? t('all') : t('top 5')}` : ''}</div>
+              <ol style={{marginTop:6,display:'grid',gap:6,paddingLeft:0,listStyle:'none'}}>
+                {visible.length ? visible.map((item) => renderRow(item, g)) : <div style={{fontSize:12,color:'#000'}}>{t('No entries yet.')}</div>}
+                {mine && (
+                  <>
+                    <div style={{fontSize:12,textAlign:'center',opacity:.6}}>…</div>
+                    {renderRow(mine, g)}
+                  </>
+                )}
+              </ol>
+              {ranked.length > 5 && (
+                <button
+                  onClick={() => setExpanded({ ...expanded, [g]: !showAll })}
+                  style={{marginTop:6,fontSize:12,padding:'4px 8px',border:'1px solid #ddd',borderRadius:8,background:'#fff',color:'#000'}}
+                >
+                  {showAll ? t('Show top 5') : t('Show all {n}', { n: ranked.length })}
+                </button>
+              )}
             </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/* ================= Name check (coach) ================= */
+// One-off clean-up aid: entries still carry the name typed at save time. The
+// leaderboard no longer uses it, but this shows who logged under several names.
+function NameCheckSection({ issues }) {
+  return (
+    <div style={{background:'#fff',borderRadius:12,padding:12,boxShadow:'0 1px 2px rgba(0,0,0,.06)',color:'#000'}}>
+      <div style={{fontWeight:700,marginBottom:4}}>{t('Name check')}</div>
+      <div style={{fontSize:12,opacity:.7,marginBottom:8}}>{t('Members whose entries were saved under more than one name.')}</div>
+      {!issues.length && <div style={{fontSize:12}}>{t("Every member's entries use a single name.")}</div>}
+      {issues.map((u) => (
+        <div key={u.userId} style={{borderTop:'1px solid #eee',padding:'6px 0',fontSize:12}}>
+          <div style={{fontWeight:700}}>
+            {u.current || t('No display name')} <span style={{fontWeight:400,opacity:.6}}>{u.userId.slice(0, 8)}</span>
           </div>
+          {u.names.map((n) => (
+            <div key={n.name}>
+              “{n.name}” — {tn(n.count, '{n} entry', '{n} entries')} ({formatRange({ start: n.first, end: n.last })})
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ================= Coach dashboard ================= */
+// Every member × weekday slot for the current cycle, who's behind this week, and
+// any member's history charts (read-only). Other members' rows are only readable
+// with the coach flag (see the coach_roster migration).
+function CoachSection({ athletes, unitPref, member, setMember }) {
+  const CYCLES = useCycles();
+  const [entries, setEntries] = useState([]);
+  const [memberEntries, setMemberEntries] = useState(null);
+  const [memberView, setMemberView] = useState('this');
+  const [memberCycleId, setMemberCycleId] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const cycle = useMemo(() => {
+    const idx = getCurrentCycleIndex();
+    return idx >= 0 ? CYCLES[idx] : CYCLES[CYCLES.length - 1] || null;
+  }, [CYCLES]);
+
+  const reload = useCallback(async () => {
+    if (!cycle) return;
+    const { start, end } = getCycleBounds(cycle);
+    const weekStart = startOfWeekISO(todayISO());
+    setLoading(true);
+    const { data, error } = await repo.entries.listRange({ from: weekStart < start ? weekStart : start, to: end });
+    setLoading(false);
+    if (error) return alert(error.message);
+    setEntries(data || []);
+  }, [cycle]);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  useEffect(() => {
+    if (!member) return setMemberEntries(null);
+    let live = true;
+    repo.entries.listForUser(member).then(({ data, error }) => {
+      if (!live) return;
+      if (error) return alert(error.message);
+      setMemberEntries(data || []);
+    });
+    return () => { live = false; };
+  }, [member]);
+
+  const roster = useMemo(
+    () => buildRoster(inPreferredUnits(entries, CYCLES, unitPref), athletes, cycle),
+    [entries, athletes, cycle, unitPref, CYCLES],
+  );
+  const weekdays = cycle ? WEEKDAY_ORDER.filter((wd) => cycle.weekTemplate[wd]) : [];
+  const behind = roster.filter((m) => m.week.missing.length);
+  const cell = { padding:'4px 6px', borderTop:'1px solid #eee', whiteSpace:'nowrap', textAlign:'left' };
+
+  if (member) {
+    const who = roster.find((m) => m.userId === member)?.athlete.name || athletes.get(member)?.name || t('Member');
+    return (
+      <>
+        <div style={{ display:'flex', gap:8, alignItems:'center', marginBottom:8 }}>
+          <button onClick={() => setMember('')} style={{ padding:'6px 10px', border:'1px solid #ddd', borderRadius:8, background:'#fff', color:'#000' }}>◀ {t('Roster')}</button>
+          <div style={{ fontWeight:700, color:'#000' }}>{who}</div>
+          <span style={{ fontSize:12, opacity:.7, color:'#000' }}>{t('read-only')}</span>
+        </div>
+        {!memberEntries ? (
+          <div style={{ fontSize:12, color:'#000' }}>{t('Loading…')}</div>
+        ) : (
+          <DatabaseSection
+            readOnly
+            dbView={memberView}
+            setDbView={setMemberView}
+            cycleId={memberCycleId}
+            setCycleId={setMemberCycleId}
+            myEntries={inPreferredUnits(memberEntries, CYCLES, unitPref)}
+            unitPref={unitPref}
+            userId={member}
+            athletes={athletes}
+          />
+        )}
+      </>
+    );
+  }
+
+  return (
+    <div style={{ background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)', color:'#000', marginBottom:12 }}>
+      <div style={{ display:'flex', gap:8, alignItems:'center', marginBottom:8 }}>
+        <div style={{ fontWeight:700 }}>{t('Roster')}</div>
+        {cycle && <span style={{ fontSize:12, opacity:.7 }}>{cycle.name || formatDate(getCycleBounds(cycle).start)} ({formatRange(getCycleBounds(cycle))})</span>}
+        <button onClick={reload} disabled={loading} style={{ marginLeft:'auto', padding:'4px 8px', border:'1px solid #ddd', borderRadius:8, background:'#fff', color:'#000', fontSize:12 }}>
+          {loading ? t('Loading…') : t('Refresh')}
+        </button>
+      </div>
+      {!cycle && <div style={{ fontSize:12 }}>{t('No active cycle configured.')}</div>}
+      {cycle && (
+        <div style={{ fontSize:12, marginBottom:8 }}>
+          {behind.length
+            ? <span style={{ color:'#b91c1c' }}>{t('{behind} of {total} behind this week', { behind: behind.length, total: roster.length })}</span>
+            : t('Everyone is up to date this week.')}
         </div>
       )}
+      {cycle && roster.length > 0 && (
+        <div style={{ overflowX:'auto' }}>
+          <table style={{ borderCollapse:'collapse', fontSize:12, width:'100%' }}>
+            <thead>
+              <tr>
+                <th style={cell}>{t('Member')}</th>
+                <th style={cell}>{t('This week')}</th>
+                {weekdays.map((wd) => (
+                  <th key={wd} style={cell} title={cycle.weekTemplate[wd].name}>{weekdayName(wd, 'short')}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {roster.map((m) => (
+                <tr key={m.userId}>
+                  <td style={cell}>
+                    <button onClick={() => setMember(m.userId)} style={{ border:'none', background:'none', padding:0, color:'#000', textDecoration:'underline', cursor:'pointer', fontSize:12 }}>
+                      {m.athlete.name}
+                    </button>
+                  </td>
+                  <td style={{ ...cell, color: m.week.missing.length ? '#b91c1c' : '#15803d' }} title={m.week.missing.length ? t('Missing: {dates}', { dates: m.week.missing.map((d) => formatDate(d)).join(', ') }) : ''}>
+                    {m.week.logged}/{m.week.due}{m.week.missing.length ? ' ⚠' : ' ✓'}
+                  </td>
+                  {weekdays.map((wd) => {
+                    const stats = m.slots[wd];
+                    const unit = displayUnitFor(stats.movement.unit, unitPref);
+                    return (
+                      <td key={wd} style={cell} title={stats.rows.map((r) => `${t('W{n}', { n: r.week })}: ${formatValue(r.value, unit)}`).join('\n')}>
+                        {stats.best ? formatValue(stats.best.value, unit) : '—'}
+                        <span style={{ opacity:.6 }}> {stats.sessions}/{stats.available}</span>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div style={{ fontSize:11, opacity:.6, marginTop:6 }}>{t('Each slot shows the best result this cycle and sessions logged out of those so far.')}</div>
     </div>
   );
 }
 
 /* ================= CalendarGrid ================= */
-function CalendarGrid({ monthDate, isMobile, selectedDate, setSelectedDate, inputVal, setInputVal, inputNotes, setInputNotes, saveEntry }) {
+// 'pending' while queued offline, 'synced' once the server has it (flagged just-replayed rows)
+function entrySyncStatus(entry, syncedKeys) {
+  if (!entry) return null;
+  if (entry._pending) return 'pending';
+  return syncedKeys.has(outboxKey(entry)) ? 'just-synced' : 'synced';
+}
+
+function CalendarGrid({ monthDate, isMobile, selectedDate, setSelectedDate, attempts, setAttempts, inputNotes, setInputNotes, details, setDetails, saveEntry, newPR, onDismissPR, unitPref, syncStatus, marks, streaks, catchUp, setCatchUp, onNextUnlogged, onShare }) {
   const y = monthDate.getFullYear();
   const m = monthDate.getMonth();
-  const first = new Date(y, m, 1);
-  const start = first.getDay();
+  const start = weekdayIndex(isoDate(y, m, 1));
   const days = new Date(y, m + 1, 0).getDate();
-  const cells = [...range(start).map(() => null), ...range(days).map((d) => new Date(y, m, d + 1))];
+  const cells = [...range(start).map(() => null), ...range(days).map((d) => isoDate(y, m, d + 1))];
+  const weeks = range(Math.ceil(cells.length / 7)).map((w) => cells.slice(w * 7, w * 7 + 7));
+  const today = todayISO();
 
   const gap = isMobile ? 2 : 6;
-  const mov = movementForDate(selectedDate);
+  const programmed = movementForDate(selectedDate);
+  const mov = { ...programmed, unit: displayUnitFor(programmed.unit, unitPref) };
   const isTBD = mov.name === 'TBD';
 
+  const updateAttempt = (i, patch) =>
+    setAttempts(attempts.map((a, j) => (j === i ? { ...a, ...patch } : a)));
+  const parsedAttempts = attempts.length > 1 ? parseAttempts(attempts, mov.unit) : null;
+  const dayBest = parsedAttempts?.attempts?.length > 1 ? bestAttempt(parsedAttempts.attempts, mov) : null;
+
   return (
     <>
+      <div style={{ display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between', marginBottom: isMobile ? 6 : 8, fontSize:12 }}>
+        <span>
+          🔥 {t('Streak')}: <strong>{streaks.current}</strong> • {t('Longest')}: <strong>{streaks.longest}</strong>
+        </span>
+        <span style={{ display:'flex', gap:8, alignItems:'center' }}>
+          <label style={{ display:'flex', gap:4, alignItems:'center' }}>
+            <input type="checkbox" checked={catchUp} onChange={(e)=>setCatchUp(e.target.checked)} />
+            {t('Catch-up')}
+          </label>
+          <button onClick={onNextUnlogged} style={{ fontSize:12, padding:'4px 8px', border:'1px solid #ddd', borderRadius:8, background:'#fff', color:'#000' }}>
+            {t('Next unlogged')} ▶
+          </button>
+        </span>
+      </div>
+
       <div
         style={{
           display: 'grid',
-          gridTemplateColumns: 'repeat(7, minmax(0, 1fr))',
+          // Seven days plus a narrow column for each week's completion
+          gridTemplateColumns: 'repeat(7, minmax(0, 1fr)) auto',
           gap,
           width: '100%',
           boxSizing: 'border-box',
         }}
       >
-        {['Sun','Mon','Tue','Wed','Thu','Fri','Sat'].map((d) => (
-          <div key={d} style={{ fontSize: isMobile ? 10 : 12, color:'#666', textAlign:'center', paddingBottom: isMobile ? 2 : 4 }}>
+        {[...range(7).map((i) => weekdayName(i, 'short')), ''].map((d, i) => (
+          <div key={i} style={{ fontSize: isMobile ? 10 : 12, color:'#666', textAlign:'center', paddingBottom: isMobile ? 2 : 4 }}>
             {d}
           </div>
         ))}
-        {cells.map((d,i) => {
-          if (!d) return <div key={`sp-${i}`} />;
-          const sel = isoLocal(d) === isoLocal(selectedDate);
-          const today = isoLocal(d) === isoLocal(new Date());
-          return (
-            <button
-              key={d.toISOString()}
-              onClick={() => setSelectedDate(d)}
-              style={{
-                aspectRatio: '1 / 1',
-                width: '100%',
-                borderRadius: 10,
-                border: '1px solid #e5e5e5',
-                background: sel ? '#000' : '#fff',
-                color: sel ? '#fff' : '#111',
-                outline: today ? '2px solid #dca636' : 'none',
-                display: 'grid',
-                placeItems: 'center',
-                fontWeight: sel ? 800 : 600,
-                fontSize: isMobile ? 14 : 16,
-                boxSizing: 'border-box',
-              }}
-              title={movementForDate(d).name}
+        {weeks.map((week, w) => {
+          const scheduled = week.filter((d) => d && isProgrammed(d));
+          const done = scheduled.filter((d) => marks.logged.has(d)).length;
+          return [
+            ...range(7).map((i) => {
+              const d = week[i];
+              if (!d) return <div key={`sp-${w}-${i}`} />;
+              const sel = d === selectedDate;
+              const isToday = d === today;
+              const off = !isProgrammed(d); // TBD or outside every cycle
+              const logged = marks.logged.has(d);
+              const pr = marks.prs.has(d);
+              return (
+                <button
+                  key={d}
+                  onClick={() => setSelectedDate(d)}
+                  style={{
+                    aspectRatio: '1 / 1',
+                    width: '100%',
+                    borderRadius: 10,
+                    border: off ? '1px dashed #e5e5e5' : '1px solid #e5e5e5',
+                    background: sel ? '#000' : off ? '#f6f7f9' : '#fff',
+                    color: sel ? '#fff' : off ? '#9ca3af' : '#111',
+                    outline: isToday ? '2px solid #dca636' : 'none',
+                    display: 'grid',
+                    placeItems: 'center',
+                    alignContent: 'center',
+                    fontWeight: sel ? 800 : 600,
+                    fontSize: isMobile ? 14 : 16,
+                    boxSizing: 'border-box',
+                    padding: 0,
+                    lineHeight: 1.1,
+                  }}
+                  title={`${off ? t('TBD') : movementForDate(d).name}${logged ? ` • ${t('logged')}` : ''}${pr ? ' • PR' : ''}`}
+                >
+                  {Number(d.slice(8))}
+                  <span style={{ fontSize: isMobile ? 9 : 10, height: isMobile ? 9 : 11, color: pr ? '#dca636' : sel ? '#fff' : '#15803d' }}>
+                    {pr ? '★' : logged ? '●' : ''}
+                  </span>
+                </button>
+              );
+            }),
+            <div
+              key={`week-${w}`}
+              title={scheduled.length ? t('{done} of {total} programmed days logged', { done, total: scheduled.length }) : ''}
+              style={{ alignSelf:'center', fontSize: isMobile ? 9 : 11, textAlign:'center', minWidth: isMobile ? 22 : 28, color: scheduled.length && done === scheduled.length ? '#15803d' : '#666', fontWeight: done === scheduled.length ? 700 : 400 }}
             >
-              {d.getDate()}
-            </button>
-          );
+              {scheduled.length ? `${done}/${scheduled.length}` : ''}
+            </div>,
+          ];
         })}
       </div>
 
@@ -795,27 +1558,81 @@ function CalendarGrid({ monthDate, isMobile, selectedDate, setSelectedDate, inpu
           gap: 8
         }}>
           <div style={{minWidth: 0}}>
-            <div style={{fontSize:12,color:'#000'}}>Selected: {isoLocal(selectedDate)}</div>
+            <div style={{fontSize:12,color:'#000'}}>{t('Selected: {date}', { date: formatDate(selectedDate, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }) })}</div>
             <div style={{fontWeight:700,color:'#000', whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis'}}>
-              {mov.name}
+              {isTBD ? t('TBD') : mov.name}
             </div>
-            <div style={{fontSize:12,color:'#000'}}>Units: {mov.unit || '—'}</div>
+            <div style={{fontSize:12,color:'#000'}}>{t('Units: {unit}', { unit: mov.unit === 'time' ? t('time (m:ss.hh)') : mov.unit || '—' })}</div>
+            {syncStatus === 'pending' && (
+              <div style={{fontSize:12,color:'#b45309', marginTop:4}}>⏳ {t("Saved on this device — will sync when you're back online.")}</div>
+            )}
+            {syncStatus === 'just-synced' && (
+              <div style={{fontSize:12,color:'#15803d', marginTop:4}}>✓ {t('Synced from offline.')}</div>
+            )}
+            {syncStatus === 'synced' && (
+              <div style={{fontSize:12,color:'#15803d', marginTop:4}}>✓ {t('Synced')}</div>
+            )}
             {isTBD && (
               <div style={{fontSize:12,color:'#b45309', marginTop:4}}>
-                TBD day — entries disabled outside the defined cycles.
+                {t('TBD day — entries disabled outside the defined cycles.')}
+              </div>
+            )}
+          </div>
+
+          {newPR && (
+            <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:8,background:'#000',color:'#dca636',borderRadius:10,padding:'10px 12px'}}>
+              <div>
+                <div style={{fontWeight:800}}>🏆 {t('New PR!')}</div>
+                <div style={{fontSize:12,color:'#fff'}}>
+                  {formatValue(newPR.value, newPR.unit)} {newPR.unit === 'time' ? '' : newPR.unit} • {t('{delta} over your previous best ({previous})', { delta: formatDelta(newPR.margin, newPR.unit), previous: formatValue(newPR.previousBest, newPR.unit) })}
+                </div>
+              </div>
+              <button onClick={onDismissPR} style={{background:'transparent',color:'#fff',border:'1px solid #333',borderRadius:8,padding:'4px 8px'}}>✕</button>
+            </div>
+          )}
+
+          {/* Attempts */}
+          <div style={{display:'grid',gap:6}}>
+            {attempts.map((a, i) => (
+              <div key={i} style={{display:'flex',gap:6,flexWrap:'wrap',alignItems:'center'}}>
+                <span style={{fontSize:12,width:18,textAlign:'right'}}>{i + 1}.</span>
+                <NumberField
+                  value={a.value}
+                  onChange={(v) => updateAttempt(i, { value: v })}
+                  placeholder={isTBD ? t('Unavailable') : mov.unit === 'time' ? 'm:ss.hh' : t('Enter {unit}', { unit: mov.unit })}
+                  width={isMobile ? 110 : 140}
+                  allowDecimal={true}
+                  allowTime={mov.unit === 'time'}
+                />
+                <NumberField value={a.reps} onChange={(v) => updateAttempt(i, { reps: v })} placeholder={t('Reps')} width={64} allowDecimal={false} />
+                <NumberField value={a.load} onChange={(v) => updateAttempt(i, { load: v })} placeholder={t('Load')} width={72} />
+                <NumberField value={a.rpe} onChange={(v) => updateAttempt(i, { rpe: v })} placeholder={t('RPE')} width={60} />
+                {attempts.length > 1 && (
+                  <button
+                    onClick={() => setAttempts(attempts.filter((_, j) => j !== i))}
+                    aria-label={t('Remove attempt {n}', { n: i + 1 })}
+                    style={{padding:'6px 10px',borderRadius:10,border:'1px solid #ddd',background:'#fff',color:'#000'}}
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+            {dayBest && (
+              <div style={{fontSize:12,color:'#000'}}>
+                {t('Day score (best attempt):')} <strong>{formatValue(dayBest.value, mov.unit)}</strong>
               </div>
             )}
           </div>
 
-          {/* Inputs */}
           <div style={{display:'flex',gap:8,flexWrap:'wrap', alignItems:'center'}}>
-            <NumberField
-              value={inputVal}
-              onChange={setInputVal}
-              placeholder={isTBD ? 'Unavailable' : `Enter ${mov.unit}`}
-              width={isMobile ? 120 : 160}
-              allowDecimal={true}
-            />
+            <button
+              onClick={() => setAttempts([...attempts, emptyAttempt()])}
+              disabled={isTBD}
+              style={{padding:'10px 12px',borderRadius:10,border:'1px solid #ddd',background:'#fff',color:'#000'}}
+            >
+              + {t('Add attempt')}
+            </button>
             <button
               onClick={saveEntry}
               disabled={isTBD}
@@ -828,17 +1645,22 @@ function CalendarGrid({ monthDate, isMobile, selectedDate, setSelectedDate, inpu
                 cursor: isTBD ? 'not-allowed' : 'pointer'
               }}
             >
-              Save
+              {t('Save')}
             </button>
+            {onShare && (
+              <button onClick={onShare} style={{padding:'10px 12px',borderRadius:10,border:'1px solid #dca636',background:'#000',color:'#dca636'}}>
+                {t('Share')}
+              </button>
+            )}
           </div>
 
           {/* Notes */}
           <div>
-            <label style={{ fontSize:12, display:'block', marginBottom:4, color:'#000' }}>Notes (optional)</label>
+            <label style={{ fontSize:12, display:'block', marginBottom:4, color:'#000' }}>{t('Notes (optional)')}</label>
             <textarea
               value={inputNotes}
               onChange={(e)=>setInputNotes(e.target.value)}
-              placeholder={isTBD ? 'Unavailable' : 'Add any context or notes…'}
+              placeholder={isTBD ? t('Unavailable') : t('Add any context or notes…')}
               disabled={isTBD}
               rows={3}
               style={{
@@ -852,6 +1674,45 @@ function CalendarGrid({ monthDate, isMobile, selectedDate, setSelectedDate, inpu
               }}
             />
           </div>
+
+          {/* Session details: pain, tags, equipment settings (RPE is per attempt above) */}
+          <div style={{ display:'grid', gap:8, fontSize:12, color:'#000' }}>
+            <div style={{ display:'flex', flexWrap:'wrap', gap:12, alignItems:'center' }}>
+              <label style={{ display:'flex', gap:4, alignItems:'center' }}>
+                <input type="checkbox" checked={details.pain} onChange={(e)=>setDetails({ ...details, pain: e.target.checked })} disabled={isTBD} />
+                {t('Pain / injury')}
+              </label>
+            </div>
+            <input
+              value={details.tags}
+              onChange={(e)=>setDetails({ ...details, tags: e.target.value })}
+              placeholder={t('Tags, comma separated (e.g. deload, new shoes)')}
+              disabled={isTBD}
+              style={{ padding:8, border:'1px solid #ddd', borderRadius:10, color:'#000', background: isTBD ? '#f5f5f5' : '#fff' }}
+            />
+            <div>
+              <div style={{ marginBottom:4 }}>{t('Equipment settings')} <span style={{ opacity:.6 }}>{t('(carried forward for this movement)')}</span></div>
+              {details.settings.map((row, i) => {
+                const setRow = (patch) => setDetails({ ...details, settings: details.settings.map((r, j) => (j === i ? { ...r, ...patch } : r)) });
+                return (
+                  <div key={i} style={{ display:'flex', gap:6, marginBottom:4 }}>
+                    <input value={row.key} onChange={(e)=>setRow({ key: e.target.value })} placeholder={t('Setting (e.g. Seat height)')} disabled={isTBD} style={{ flex:2, minWidth:0, padding:6, border:'1px solid #ddd', borderRadius:8 }} />
+                    <input value={row.value} onChange={(e)=>setRow({ value: e.target.value })} placeholder={t('Value')} disabled={isTBD} style={{ flex:1, minWidth:0, padding:6, border:'1px solid #ddd', borderRadius:8 }} />
+                    {details.settings.length > 1 && (
+                      <button onClick={()=>setDetails({ ...details, settings: details.settings.filter((_, j) => j !== i) })} style={{ padding:'4px 8px', border:'1px solid #ddd', borderRadius:8, background:'#fff', color:'#000' }} aria-label={t('Remove setting')}>×</button>
+                    )}
+                  </div>
+                );
+              })}
+              <button
+                onClick={()=>setDetails({ ...details, settings: [...details.settings, { key:'', value:'' }] })}
+                disabled={isTBD}
+                style={{ padding:'4px 8px', border:'1px solid #ddd', borderRadius:8, background:'#fff', color:'#000', fontSize:12 }}
+              >
+                + {t('Setting')}
+              </button>
+            </div>
+          </div>
         </div>
       </div>
     </>
@@ -859,9 +1720,22 @@ function CalendarGrid({ monthDate, isMobile, selectedDate, setSelectedDate, inpu
 }
 
 /* ================= Database Section ================= */
-function DatabaseSection({ dbView, setDbView, myEntries }) {
+function DatabaseSection({ dbView, setDbView, cycleId, setCycleId, myEntries, unitPref, onImport, userId, isCoach, athletes, onChanged, readOnly = false }) {
+  const CYCLES = useCycles();
+  const [exportRange, setExportRange] = useState('all');
+  const [importOpen, setImportOpen] = useState(false);
+  const [formula, setFormula] = useState('epley'); // e1RM formula for rep-max movements
+
+  function exportAs(format) {
+    const rows = entriesForRange(myEntries, exportRange);
+    if (!rows.length) return alert(t('No entries in that range.'));
+    const stamp = todayISO();
+    if (format === 'csv') downloadFile(`mom3nt-${exportRange}-${stamp}.csv`, toCSV(rows), 'text/csv');
+    else downloadFile(`mom3nt-${exportRange}-${stamp}.json`, toJSON(rows), 'application/json');
+  }
+
   const { currentCycle, previousCycle, currentBounds, previousBounds } = useMemo(() => {
-    const idx = getCurrentCycleIndex(new Date());
+    const idx = getCurrentCycleIndex();
     let curr = idx >= 0 ? CYCLES[idx] : null;
     let prev = idx > 0 ? CYCLES[idx - 1] : null;
     if (!curr && CYCLES.length) {
@@ -874,100 +1748,160 @@ function DatabaseSection({ dbView, setDbView, myEntries }) {
       currentBounds: curr ? getCycleBounds(curr) : null,
       previousBounds: prev ? getCycleBounds(prev) : null,
     };
-  }, []);
+  }, [CYCLES]);
+
+  // Views that chart a single cycle: the current one, the previous one, or one picked (/history/<cycleId>)
+  const cycleViews = {
+    this: { cycle: currentCycle, bounds: currentBounds, empty: t('No active cycle configured.') },
+    prev: { cycle: previousCycle, bounds: previousBounds, empty: t('No previous cycle configured.') },
+    cycle: (() => {
+      const picked = CYCLES.find((c) => c.id === cycleId) || null;
+      return { cycle: picked, bounds: picked ? getCycleBounds(picked) : null, empty: t('Cycle not found.') };
+    })(),
+  };
+  const shown = cycleViews[dbView] || null;
+
+  function changeView(next) {
+    if (next === 'cycle' && !cycleId && currentCycle) setCycleId(currentCycle.id);
+    setDbView(next);
+  }
 
   return (
     <>
       <div style={{ display:'flex', gap:8, alignItems:'center', marginBottom:8 }}>
-        <label style={{ fontSize:12 }}>View:</label>
+        <label style={{ fontSize:12 }}>{t('View:')}</label>
         <select
           value={dbView}
-          onChange={(e) => setDbView(e.target.value)}
+          onChange={(e) => changeView(e.target.value)}
+          style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 }}
+        >
+          <option value="this">{t('Current Cycle')}</option>
+          <option value="prev">{t('Previous Cycle')}</option>
+          <option value="cycle">{t('Single Cycle')}</option>
+          <option value="all">{t('All Cycles')}</option>
+          <option value="compare">{t('Compare Cycles')}</option>
+          <option value="notes">{t('Notes Timeline')}</option>
+          {!readOnly && <option value="entries">{t('Entries Table')}</option>}
+        </select>
+        <label style={{ fontSize:12, marginLeft:'auto' }}>e1RM:</label>
+        <select
+          value={formula}
+          onChange={(e) => setFormula(e.target.value)}
           style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 }}
         >
-          <option value="this">Current Cycle</option>
-          <option value="prev">Previous Cycle</option>
-          <option value="all">All Cycles</option>
+          {E1RM_FORMULAS.map((f) => <option key={f.value} value={f.value}>{f.label}</option>)}
         </select>
 
-        {dbView === 'this' && currentBounds && (
-          <span style={{ fontSize:12, opacity:0.7, marginLeft:8 }}>
-            {isoLocal(currentBounds.start)} → {isoLocal(currentBounds.end)}
-          </span>
+        {dbView === 'cycle' && (
+          <select
+            value={cycleId}
+            onChange={(e) => setCycleId(e.target.value)}
+            style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8, maxWidth:'100%' }}
+          >
+            <option value="">{t('Select cycle')}</option>
+            {[...CYCLES].reverse().map((c) => <option key={c.id} value={c.id}>{c.name || formatDate(c.start)}</option>)}
+          </select>
         )}
-        {dbView === 'prev' && previousBounds && (
+        {shown?.bounds && (
           <span style={{ fontSize:12, opacity:0.7, marginLeft:8 }}>
-            {isoLocal(previousBounds.start)} → {isoLocal(previousBounds.end)}
+            {formatRange(shown.bounds)}
           </span>
         )}
       </div>
 
-      {/* Current Cycle */}
-      {dbView === 'this' && (
-        <>
-          {!currentCycle ? (
-            <div style={{ background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)' }}>
-              <div style={{ fontSize:14 }}>No active cycle configured.</div>
-            </div>
-          ) : (
-            movementsFromTemplate(currentCycle.weekTemplate).map(({ weekday, name: movementName, unit }) => {
-              const rows = myEntries
-                .filter((e) => currentBounds && isWithinISO(e.date, currentBounds.start, currentBounds.end) && e.movement === movementName)
-                .map((e) => ({ date:e.date, value:Number(e.value) }))
-                .sort((a,b)=>a.date.localeCompare(b.date));
-              const data = rows.map((r)=>({ ...r, shortDate: r.date.slice(5) }));
-              return <ChartCard key={`this-${weekday}`} title={`${weekday}: ${movementName}`} unit={unit} rows={rows} data={data} />;
-            })
-          )}
-        </>
+      <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap', marginBottom:8 }}>
+        <label style={{ fontSize:12 }}>{t('Export:')}</label>
+        <select
+          value={exportRange}
+          onChange={(e) => setExportRange(e.target.value)}
+          style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 }}
+        >
+          <option value="this">{t('Current Cycle')}</option>
+          <option value="prev">{t('Previous Cycle')}</option>
+          <option value="all">{t('All Cycles')}</option>
+        </select>
+        <button onClick={() => exportAs('csv')} style={{ padding:'6px 10px', border:'1px solid #ddd', borderRadius:8, background:'#fff', color:'#000' }}>CSV</button>
+        <button onClick={() => exportAs('json')} style={{ padding:'6px 10px', border:'1px solid #ddd', borderRadius:8, background:'#fff', color:'#000' }}>JSON</button>
+        {!readOnly && (
+          <button onClick={() => setImportOpen(true)} style={{ padding:'6px 10px', border:'1px solid #111', borderRadius:8, background:'#000', color:'#fff', marginLeft:'auto' }}>{t('Import…')}</button>
+        )}
+      </div>
+
+      {importOpen && (
+        <ImportWizard myEntries={myEntries} onImport={onImport} onClose={() => setImportOpen(false)} />
       )}
 
-      {/* Previous Cycle */}
-      {dbView === 'prev' && (
+      {/* One cycle: current, previous or picked */}
+      {shown && (
         <>
-          {!previousCycle ? (
+          {!shown.cycle ? (
             <div style={{ background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)' }}>
-              <div style={{ fontSize:14 }}>No previous cycle configured.</div>
+              <div style={{ fontSize:14 }}>{shown.empty}</div>
             </div>
           ) : (
-            movementsFromTemplate(previousCycle.weekTemplate).map(({ weekday, name: movementName, unit }) => {
+            movementsFromTemplate(shown.cycle.weekTemplate).map((movement) => {
+              const { weekday, name: movementName } = movement;
+              const unit = displayUnitFor(movement.unit, unitPref);
+              const { start, end } = shown.bounds;
               const rows = myEntries
-                .filter((e) => previousBounds && isWithinISO(e.date, previousBounds.start, previousBounds.end) && e.movement === movementName)
-                .map((e) => ({ date:e.date, value:Number(e.value) }))
+                .filter((e) => isWithinISO(e.date, start, end) && e.movement === movementName)
+                .map((e) => ({ date:e.date, value:Number(e.value), e1rm: entryE1RM(e, movement, formula), tags: e.tags || [] }))
                 .sort((a,b)=>a.date.localeCompare(b.date));
-              const data = rows.map((r)=>({ ...r, shortDate: r.date.slice(5) }));
-              return <ChartCard key={`prev-${weekday}`} title={`${weekday}: ${movementName}`} unit={unit} rows={rows} data={data} />;
+              const data = rows.map((r)=>({ ...r, shortDate: formatDate(r.date, SHORT_DATE) }));
+              const earlier = bestBefore(myEntries, movement, start);
+              return <ChartCard key={`${shown.cycle.id}-${weekday}`} title={`${weekdayName(weekday)}: ${movementName}`} unit={unit} movement={movement} earlierBest={earlier} prs={prHistory(myEntries, movement)} rows={rows} data={data} />;
             })
           )}
         </>
       )}
 
+      {/* Every entry, editable, with the audit trail */}
+      {dbView === 'notes' && <NotesTimeline entries={myEntries} />}
+
+      {dbView === 'entries' && !readOnly && (
+        <EntriesTable myEntries={myEntries} userId={userId} isCoach={isCoach} athletes={athletes} onChanged={onChanged} />
+      )}
+
+      {/* Two cycles side by side, slot by slot */}
+      {dbView === 'compare' && (
+        <CycleComparison
+          cycles={CYCLES}
+          myEntries={myEntries}
+          unitPref={unitPref}
+          defaultA={previousCycle?.id || ''}
+          defaultB={currentCycle?.id || ''}
+        />
+      )}
+
       {/* All-time across all configured movements (no TBD) */}
       {dbView === 'all' && (
         <>
+          <StrengthComparison entries={myEntries} cycles={CYCLES} formula={formula} unitPref={unitPref} />
           {(() => {
             const movementMap = new Map();
-            Object.values(LEGACY_MOVEMENTS).forEach((m)=> m?.name && movementMap.set(m.name, m.unit || ''));
+            Object.values(LEGACY_MOVEMENTS).forEach((m)=> m?.name && movementMap.set(m.name, m));
             CYCLES.forEach((cy)=> {
               Object.values(cy.weekTemplate).forEach((m)=> {
-                if (m?.name && m.name !== 'TBD' && !movementMap.has(m.name)) movementMap.set(m.name, m.unit || '');
+                if (m?.name && m.name !== 'TBD' && !movementMap.has(m.name)) movementMap.set(m.name, m);
               });
             });
-            const movementList = Array.from(movementMap.entries()).map(([name, unit]) => ({ name, unit }));
+            const movementList = Array.from(movementMap.values());
             if (!movementList.length) {
               return (
                 <div style={{ background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)' }}>
-                  <div style={{ fontSize:14 }}>No movements configured.</div>
+                  <div style={{ fontSize:14 }}>{t('No movements configured.')}</div>
                 </div>
               );
             }
-            return movementList.map(({ name: movementName, unit }) => {
+            return movementList.map((movement) => {
+              const { name: movementName } = movement;
+              const unit = displayUnitFor(movement.unit, unitPref);
               const rows = myEntries
                 .filter((e)=> e.movement === movementName)
-                .map((e)=> ({ date:e.date, value:Number(e.value) }))
+                .map((e)=> ({ date:e.date, value:Number(e.value), e1rm: entryE1RM(e, movement, formula), tags: e.tags || [] }))
                 .sort((a,b)=> a.date.localeCompare(b.date));
-              const data = rows.map((r)=> ({ ...r, shortDate: r.date.slice(5) }));
-              return <ChartCard key={`all-${movementName}`} title={movementName} unit={unit} rows={rows} data={data} />;
+              const data = rows.map((r)=> ({ ...r, shortDate: formatDate(r.date, SHORT_DATE) }));
+              return <ChartCard key={`all-${movementName}`} title={movementName} unit={unit} movement={movement} prs={prHistory(myEntries, movement)} rows={rows} data={data} />;
             });
           })()}
         </>
@@ -976,8 +1910,150 @@ function DatabaseSection({ dbView, setDbView, myEntries }) {
   );
 }
 
-function ChartCard({ title, unit, rows, data }) {
-  const values = rows.map((r) => Number(r.value)).filter((v) => Number.isFinite(v));
+/* ================= Cycle comparison ================= */
+const COMPARE_COLORS = { a: '#9ca3af', b: '#dca636' };
+
+function CycleComparison({ cycles, myEntries, unitPref, defaultA, defaultB }) {
+  const [aId, setAId] = useState(defaultA);
+  const [bId, setBId] = useState(defaultB);
+  const cycleA = cycles.find((c) => c.id === aId) || null;
+  const cycleB = cycles.find((c) => c.id === bId) || null;
+  const slots = useMemo(() => compareCycles(myEntries, cycleA, cycleB), [myEntries, cycleA, cycleB]);
+
+  const picker = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={{ padding:'6px 8px', border:'1px solid #ddd', borderRadius:8, maxWidth:'100%' }}>
+      <option value="">{t('Select cycle')}</option>
+      {[...cycles].reverse().map((c) => <option key={c.id} value={c.id}>{c.name || formatDate(c.start)}</option>)}
+    </select>
+  );
+
+  const statCell = (stats, unit) => {
+    if (!stats) return <div style={{ fontSize:12, opacity:.6 }}>{t('Not programmed')}</div>;
+    const pct = stats.pct != null ? ` (${stats.pct > 0 ? '+' : ''}${formatNumber(stats.pct, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%)` : '';
+    return (
+      <div style={{ fontSize:12, display:'grid', gap:2, minWidth:0 }}>
+        <div style={{ fontWeight:700, whiteSpace:'nowrap', overflow:'hidden', textOverflow:'ellipsis' }}>{stats.movement.name}</div>
+        <div>{t('First:')} {stats.first ? formatValue(stats.first.value, unit) : '—'}</div>
+        <div>{t('Last:')} {stats.last ? formatValue(stats.last.value, unit) : '—'}</div>
+        <div>{t('Best:')} <strong>{stats.best ? formatValue(stats.best.value, unit) : '—'}</strong></div>
+        <div style={{ color: TREND_COLORS[stats.trend] }}>
+          {t('Change:')} {stats.change != null ? `${formatDelta(stats.change, unit)}${pct}` : '—'}
+        </div>
+        <div>{t('Logged: {sessions}/{available} weeks', { sessions: stats.sessions, available: stats.available })}</div>
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <div style={{ display:'flex', gap:8, alignItems:'center', flexWrap:'wrap', marginBottom:8, fontSize:12 }}>
+        <span style={{ color:COMPARE_COLORS.a, fontWeight:700 }}>A</span>{picker(aId, setAId)}
+        <span>{t('vs')}</span>
+        <span style={{ color:COMPARE_COLORS.b, fontWeight:700 }}>B</span>{picker(bId, setBId)}
+      </div>
+
+      {!cycleA || !cycleB ? (
+        <div style={{ background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)' }}>
+          <div style={{ fontSize:14 }}>{t('Pick two cycles to compare.')}</div>
+        </div>
+      ) : slots.map((slot) => {
+        const unitA = slot.a ? displayUnitFor(slot.a.movement.unit, unitPref) : '';
+        const unitB = slot.b ? displayUnitFor(slot.b.movement.unit, unitPref) : '';
+        // Different units can't share an axis; B gets its own on the right
+        const split = unitA && unitB && unitA !== unitB;
+        const data = overlayByWeek(slot);
+        return (
+          <div key={slot.weekday} style={{ marginBottom:12, background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)', color:'#000' }}>
+            <div style={{ fontWeight:700, marginBottom:6 }}>{weekdayName(slot.weekday)}</div>
+            <div style={{ display:'grid', gridTemplateColumns:'1fr 1fr', gap:8, marginBottom:6 }}>
+              <div style={{ borderLeft:`3px solid ${COMPARE_COLORS.a}`, paddingLeft:6 }}>{statCell(slot.a, unitA)}</div>
+              <div style={{ borderLeft:`3px solid ${COMPARE_COLORS.b}`, paddingLeft:6 }}>{statCell(slot.b, unitB)}</div>
+            </div>
+            {data.length > 0 && (
+              <div style={{ width:'100%', height:180 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={data} margin={{ top:10, right:10, bottom:10, left:0 }}>
+                    <CartesianGrid stroke="#e5e7eb" />
+                    <XAxis dataKey="week" tick={{ fill:'#000' }} tickFormatter={(w) => t('W{n}', { n: w })} />
+                    <YAxis yAxisId="a" tick={{ fill:'#000' }} domain={['auto', 'auto']} tickFormatter={(v) => formatTick(v, unitA || unitB)} />
+                    {split && <YAxis yAxisId="b" orientation="right" tick={{ fill:'#000' }} domain={['auto', 'auto']} tickFormatter={(v) => formatTick(v, unitB)} />}
+                    <Tooltip
+                      contentStyle={{ backgroundColor:'#fff', border:'1px solid #000', color:'#000' }}
+                      labelFormatter={(w) => t('Week {n}', { n: w })}
+                      formatter={(val, key) => {
+                        const unit = key === 'a' ? unitA : unitB;
+                        return [unit === 'time' ? formatValue(val, unit) : `${formatValue(val, unit)} ${unit}`, key === 'a' ? cycleA.name || 'A' : cycleB.name || 'B'];
+                      }}
+                    />
+                    <Line yAxisId="a" type="monotone" dataKey="a" stroke={COMPARE_COLORS.a} strokeWidth={2} connectNulls />
+                    <Line yAxisId={split ? 'b' : 'a'} type="monotone" dataKey="b" stroke={COMPARE_COLORS.b} strokeWidth={3} connectNulls />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            )}
+          </div>
+        );
+      })}
+      {cycleA && cycleB && (
+        <div style={{ fontSize:12, opacity:.7 }}>
+          {t('{a}: {aWeeks} weeks • {b}: {bWeeks} weeks. Charts line up by cycle week.', {
+            a: cycleA.name || formatDate(cycleA.start), aWeeks: weeksIn(cycleA),
+            b: cycleB.name || formatDate(cycleB.start), bWeeks: weeksIn(cycleB),
+          })}
+        </div>
+      )}
+    </>
+  );
+}
+
+// Same lift family across blocks with different rep schemes, compared by best e1RM
+function StrengthComparison({ entries, cycles, formula, unitPref }) {
+  const lifts = useMemo(() => strengthByBlock(entries, cycles, { formula, unitPref }), [entries, cycles, formula, unitPref]);
+  if (!lifts.length) return null;
+  return (
+    <div style={{ marginBottom:12, background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)', color:'#000' }}>
+      <div style={{ fontWeight:700, marginBottom:4 }}>{t('Strength across blocks')}</div>
+      <div style={{ fontSize:12, opacity:.7, marginBottom:8 }}>{t('Best estimated 1RM per block, so different rep maxes of a lift line up.')}</div>
+      {lifts.map(({ lift, unit, blocks }) => (
+        <div key={lift} style={{ marginBottom:8 }}>
+          <div style={{ fontSize:13, fontWeight:700 }}>{lift}</div>
+          <table style={{ width:'100%', borderCollapse:'collapse', fontSize:12 }}>
+            <tbody>
+              {blocks.map((b, i) => {
+                const prev = blocks.slice(0, i).reverse().find((p) => p.best)?.best;
+                const step = b.best && prev ? Math.sign(b.best.e1rm - prev.e1rm) : 0;
+                return (
+                  <tr key={b.cycleId} style={{ borderTop:'1px solid #eee' }}>
+                    <td>{b.cycleName}</td>
+                    <td style={{ opacity:.7 }}>{b.movement}{b.reps ? ` (${b.reps}RM)` : ''}</td>
+                    <td style={{ textAlign:'right' }}>{b.best ? `${formatValue(b.best.value, b.best.entryUnit)} ${b.best.entryUnit}` : '—'}</td>
+                    <td style={{ textAlign:'right', fontWeight:700, color: TREND_COLORS[step] }}>
+                      {b.best ? `${formatValue(b.best.e1rm, unit)} ${unit}` : ''}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Best result for the same movement logged before a cycle started (cycle-over-cycle delta)
+function bestBefore(myEntries, movement, startISO) {
+  const earlier = myEntries.filter((e) => e.movement === movement.name && e.date < startISO);
+  const best = bestOf(earlier, movement);
+  return best ? Number(best.value) : null;
+}
+
+const TREND_COLORS = { 1: '#15803d', 0: '#000', [-1]: '#b91c1c' };
+
+function ChartCard({ title, unit, movement, earlierBest = null, prs = [], rows, data }) {
+  // Rep-max movements also plot the estimated 1RM, so the axis has to fit both lines
+  const showE1RM = hasRepScheme(movement) || rows.some((r) => r.e1rm != null && r.e1rm !== r.value);
+  const values = rows.flatMap((r) => (showE1RM ? [r.value, r.e1rm] : [r.value])).map(Number).filter((v) => v && Number.isFinite(v));
   const dataMin = values.length ? Math.min(...values) : 0;
   const dataMax = values.length ? Math.max(...values) : 1;
   const span = Math.max(1, dataMax - dataMin);
@@ -985,32 +2061,100 @@ function ChartCard({ title, unit, rows, data }) {
   const yLower = dataMin - pad < 0 && dataMin >= 0 ? 0 : dataMin - pad;
   const yUpper = dataMax + pad;
 
+  // Improvement is judged by the movement's scoring direction, not raw up/down
+  const unitMovement = movement || { unit };
+  const best = bestOf(rows, unitMovement);
+  const bestE1RM = showE1RM ? Math.max(0, ...rows.map((r) => r.e1rm || 0)) : 0;
+  const trend = rows.length > 1 ? improvement(rows[0].value, rows[rows.length - 1].value, unitMovement) : 0;
+  const vsEarlier = best && earlierBest != null ? improvement(earlierBest, best.value, unitMovement) : null;
+  // PR history spans all cycles; only points inside this chart get highlighted
+  const prDates = new Set(prs.map((p) => p.date));
+  const renderDot = ({ cx, cy, index }) => {
+    if (prDates.has(data[index]?.date)) {
+      return <circle key={`dot-${index}`} cx={cx} cy={cy} r={7} fill="#dca636" stroke="#000" strokeWidth={2} />;
+    }
+    const step = index > 0 ? improvement(data[index - 1].value, data[index].value, unitMovement) : 0;
+    return <circle key={`dot-${index}`} cx={cx} cy={cy} r={4} fill={TREND_COLORS[step]} stroke={TREND_COLORS[step]} />;
+  };
+
   return (
     <div style={{ marginBottom:12, background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)' }}>
       <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:6 }}>
         <div style={{ fontWeight:700, color:'#000' }}>{title}</div>
-        <div style={{ fontSize:12, color:'#000' }}>{rows.length} entries • {unit || '—'}</div>
+        <div style={{ fontSize:12, color:'#000' }}>{tn(rows.length, '{n} entry', '{n} entries')} • {unit || '—'}</div>
       </div>
+      {best && (
+        <div style={{ fontSize:12, marginBottom:6, color:'#000' }}>
+          {t('Best:')} <strong>{formatValue(best.value, unit)}</strong>
+          {vsEarlier != null && (
+            <span style={{ color: TREND_COLORS[vsEarlier], marginLeft:6 }}>
+              ({t('{delta} vs earlier cycles', { delta: formatDelta(Number(best.value) - earlierBest, unit) })})
+            </span>
+          )}
+          {bestE1RM > 0 && (
+            <span style={{ marginLeft:8 }}>
+              e1RM: <strong>{formatValue(bestE1RM, unit)}</strong>{movement?.reps ? ` (${movement.reps}RM)` : ''}
+            </span>
+          )}
+        </div>
+      )}
       <div style={{ width:'100%', height:220 }}>
         <ResponsiveContainer width="100%" height="100%">
           <LineChart data={data} margin={{ top:10, right:10, bottom:10, left:0 }}>
             <CartesianGrid stroke="#e5e7eb" />
             <XAxis dataKey="shortDate" tick={{ fill:'#000' }} />
-            <YAxis tick={{ fill:'#000' }} domain={[() => yLower, () => yUpper]} tickFormatter={formatNiceNumber} />
+            <YAxis tick={{ fill:'#000' }} domain={[() => yLower, () => yUpper]} tickFormatter={(v) => formatTick(v, unit)} />
             <Tooltip
               contentStyle={{ backgroundColor:'#fff', border:'1px solid #000', color:'#000' }}
               labelStyle={{ color:'#000' }}
               itemStyle={{ color:'#000' }}
               labelFormatter={(label, payload) => {
                 const p = payload && payload[0] && payload[0].payload;
-                return p?.date ? `Date: ${p.date}` : `Date: ${label}`;
+                const pr = p?.date && prDates.has(p.date) ? ' 🏆 PR' : '';
+                const tagged = p?.tags?.length ? ` • ${p.tags.map((tag) => `#${tag}`).join(' ')}` : '';
+                return `${t('Date:')} ${p?.date ? `${formatDate(p.date)}${pr}${tagged}` : label}`;
               }}
-              formatter={(val) => [`${formatExactValue(val)} ${unit || ''}`, 'Value']}
+              formatter={(val, key) => [unit === 'time' ? formatValue(val, unit) : `${formatValue(val, unit)} ${unit || ''}`, key === 'e1rm' ? 'e1RM' : t('Value')]}
             />
-            <Line type="monotone" dataKey="value" stroke="#000" strokeWidth={3} dot={{ r:4 }} />
+            {/* Tagged sessions (deload, new shoes, …) marked on the timeline */}
+            {data.filter((d) => d.tags?.length).map((d) => (
+              <ReferenceLine
+                key={`tag-${d.date}`}
+                x={d.shortDate}
+                stroke="#9ca3af"
+                strokeDasharray="2 3"
+                label={{ value: d.tags.map((tag) => `#${tag}`).join(' '), position: 'insideTopLeft', fontSize: 10, fill: '#6b7280' }}
+              />
+            ))}
+            <Line type="monotone" dataKey="value" stroke={TREND_COLORS[trend]} strokeWidth={3} dot={renderDot} />
+            {showE1RM && (
+              <Line type="monotone" dataKey="e1rm" stroke="#6b7280" strokeWidth={2} strokeDasharray="5 4" dot={false} connectNulls />
+            )}
           </LineChart>
         </ResponsiveContainer>
       </div>
+      {prs.length > 0 && (
+        <details style={{ marginTop:6, fontSize:12, color:'#000' }}>
+          <summary style={{ cursor:'pointer' }}>{t('PR history ({n})', { n: prs.length })}</summary>
+          <table style={{ width:'100%', borderCollapse:'collapse', marginTop:6 }}>
+            <thead>
+              <tr style={{ textAlign:'left' }}>
+                <th>{t('Date')}</th><th>{t('Value')}</th><th>{t('Margin')}</th><th>{t('Days since last')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...prs].reverse().map((p) => (
+                <tr key={p.date} style={{ borderTop:'1px solid #eee' }}>
+                  <td>{formatDate(p.date)}</td>
+                  <td>{formatValue(p.value, unit)}</td>
+                  <td>{formatDelta(p.margin, unit)}</td>
+                  <td>{p.daysSinceLast}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
     </div>
   );
 }
\ No newline at end of file
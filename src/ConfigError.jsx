@@ -0,0 +1,13 @@
+// src/ConfigError.jsx
+// Shown instead of the app when the build has no usable data backend (see lib/data)
+export default function ConfigError({ message }) {
+  return (
+    <div style={{ display:'grid', placeItems:'center', height:'100vh', background:'#000', color:'#fff', textAlign:'center', padding:16 }}>
+      <div style={{ maxWidth:360, width:'100%', background:'#111', borderRadius:12, padding:16, border:'1px solid #333' }}>
+        <h1 style={{ marginBottom:8 }}>MOM3NT DATA</h1>
+        <p style={{ opacity:.9 }}>This build is not configured.</p>
+        <p style={{ fontSize:12, opacity:.7 }}>{message}</p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+// src/EntriesTable.jsx
+import { useCallback, useEffect, useState } from 'react';
+import { formatValue, parseDuration, formatDuration } from './lib/format';
+import { updateEntry, deleteEntry, loadAudit, undoChange, undoableIds } from './lib/audit';
+import { t, formatDate, formatDateTime } from './lib/i18n';
+
+const card = { background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)', color:'#000', marginBottom:12 };
+const btn = { padding:'4px 8px', border:'1px solid #ddd', borderRadius:8, background:'#fff', color:'#000', cursor:'pointer', fontSize:12 };
+const input = { padding:6, border:'1px solid #ddd', borderRadius:8, boxSizing:'border-box', width:'100%' };
+const ACTION_LABELS = { insert: 'Logged', update: 'Changed', delete: 'Deleted' };
+
+const showValue = (row) =>
+  row ? `${formatValue(row.value, row.unit)}${row.unit && row.unit !== 'time' ? ` ${row.unit}` : ''}` : '—';
+
+// Every entry with inline edit/delete, plus the change history with undo
+export default function EntriesTable({ myEntries, userId, isCoach, athletes, onChanged }) {
+  const [editing, setEditing] = useState(null); // { date, value, notes, shown }
+  const [busy, setBusy] = useState(false);
+  const [changes, setChanges] = useState([]);
+  const [everyone, setEveryone] = useState(false); // coaches: history for all members
+
+  const refreshHistory = useCallback(async () => {
+    const { changes: rows } = await loadAudit({ userId: isCoach && everyone ? null : userId });
+    setChanges(rows);
+  }, [userId, isCoach, everyone]);
+
+  useEffect(() => { refreshHistory(); }, [refreshHistory, myEntries]);
+
+  const rows = [...myEntries].sort((a, b) => b.date.localeCompare(a.date));
+  const undoable = undoableIds(changes);
+  const whoChanged = (id) => (id === userId ? t('You') : athletes.get(id)?.name || t('Coach'));
+  const whose = (id) => (id === userId ? '' : `${athletes.get(id)?.name || t('Member')} • `);
+
+  function startEdit(e) {
+    const value = e.unit === 'time' ? formatDuration(e.value) : String(e.value);
+    setEditing({ date: e.date, value, notes: e.notes || '', shown: value });
+  }
+
+  async function run(action) {
+    setBusy(true);
+    const { error } = await action();
+    setBusy(false);
+    if (error) return alert(error.message);
+    setEditing(null);
+    await onChanged();
+  }
+
+  // Only what was changed is written: rows here are shown in the preferred unit,
+  // which may not be the unit they're stored in
+  function saveEdit(e) {
+    const patch = {};
+    const notes = editing.notes.trim() || null;
+    if (notes !== (e.notes || null)) patch.notes = notes;
+    if (editing.value.trim() !== editing.shown) {
+      const raw = editing.value.replace(',', '.'); // decimal comma in Spanish and most of Europe
+      const value = e.unit === 'time' ? parseDuration(raw) : parseFloat(raw);
+      if (!(value > 0)) return alert(e.unit === 'time' ? t('Enter a time as m:ss or m:ss.hh.') : t('Enter a positive number.'));
+      // Saved in the unit shown here, with the (single) attempt converted alongside
+      Object.assign(patch, { value, unit: e.unit, attempts: [{ ...(e.attempts?.[0] || {}), value }] });
+    }
+    if (!Object.keys(patch).length) return setEditing(null);
+    run(() => updateEntry(e, patch));
+  }
+
+  function remove(e) {
+    if (!confirm(t('Delete your {movement} result on {date}? You can undo this from the history below.', { movement: e.movement, date: formatDate(e.date) }))) return;
+    run(() => deleteEntry(e));
+  }
+
+  function undo(change) {
+    const what = change.action === 'insert' ? t('remove this entry') : t('restore {value}', { value: showValue(change.old_row) });
+    if (!confirm(t('Undo: {what} for {date}?', { what, date: formatDate(change.entry_date) }))) return;
+    run(() => undoChange(change));
+  }
+
+  return (
+    <>
+      <div style={card}>
+        <div style={{ fontWeight:700, marginBottom:8 }}>{t('Entries ({n})', { n: rows.length })}</div>
+        {!rows.length && <div style={{ fontSize:12 }}>{t('No entries yet.')}</div>}
+        {rows.length > 0 && (
+          <table style={{ width:'100%', borderCollapse:'collapse', fontSize:12 }}>
+            <thead>
+              <tr style={{ textAlign:'left' }}><th>{t('Date')}</th><th>{t('Movement')}</th><th>{t('Value')}</th><th>{t('Notes')}</th><th /></tr>
+            </thead>
+            <tbody>
+              {rows.map((e) => {
+                const isEditing = editing?.date === e.date;
+                const multi = Array.isArray(e.attempts) && e.attempts.length > 1;
+                return (
+                  <tr key={e.date} style={{ borderTop:'1px solid #eee', verticalAlign:'top' }}>
+                    <td style={{ whiteSpace:'nowrap', padding:'4px 4px 4px 0' }}>{formatDate(e.date)}</td>
+                    <td style={{ padding:4 }}>{e.movement}</td>
+                    <td style={{ padding:4, whiteSpace:'nowrap' }}>
+                      {isEditing && !multi ? (
+                        <input value={editing.value} onChange={(ev)=>setEditing({ ...editing, value: ev.target.value })} style={{ ...input, width:80 }} />
+                      ) : (
+                        <span title={multi ? t('Best of several attempts — edit attempts on the calendar') : ''}>{showValue(e)}{multi ? ` (${e.attempts.length})` : ''}</span>
+                      )}
+                    </td>
+                    <td style={{ padding:4 }}>
+                      {isEditing ? (
+                        <input value={editing.notes} onChange={(ev)=>setEditing({ ...editing, notes: ev.target.value })} style={input} />
+                      ) : (e.notes || '')}
+                    </td>
+                    <td style={{ padding:'4px 0', whiteSpace:'nowrap', textAlign:'right' }}>
+                      {e._pending ? (
+                        <span style={{ opacity:.6 }}>{t('Pending sync')}</span>
+                      ) : isEditing ? (
+                        <>
+                          <button onClick={()=>setEditing(null)} style={btn}>{t('Cancel')}</button>{' '}
+                          <button onClick={()=>saveEdit(e)} disabled={busy} style={{ ...btn, background:'#000', color:'#fff', border:'1px solid #111' }}>{t('Save')}</button>
+                        </>
+                      ) : (
+                        <>
+                          <button onClick={()=>startEdit(e)} style={btn}>{t('Edit')}</button>{' '}
+                          <button onClick={()=>remove(e)} disabled={busy} style={{ ...btn, color:'#b91c1c' }}>{t('Delete')}</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div style={card}>
+        <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:8 }}>
+          <div style={{ fontWeight:700 }}>{t('Change history')}</div>
+          {isCoach && (
+            <label style={{ fontSize:12, display:'flex', gap:4, alignItems:'center' }}>
+              <input type="checkbox" checked={everyone} onChange={(e)=>setEveryone(e.target.checked)} />
+              {t('All members')}
+            </label>
+          )}
+        </div>
+        {!changes.length && <div style={{ fontSize:12 }}>{t('No changes recorded yet.')}</div>}
+        {changes.map((c) => (
+          <div key={c.id} style={{ display:'flex', justifyContent:'space-between', gap:8, borderTop:'1px solid #eee', padding:'6px 0', fontSize:12 }}>
+            <div style={{ minWidth:0 }}>
+              <div>
+                <strong>{t(ACTION_LABELS[c.action])}</strong> {whose(c.entry_user_id)}{formatDate(c.entry_date)} — {(c.new_row || c.old_row)?.movement}
+              </div>
+              <div>
+                {c.action === 'update' && <>{showValue(c.old_row)} → {showValue(c.new_row)}</>}
+                {c.action === 'insert' && showValue(c.new_row)}
+                {c.action === 'delete' && <s>{showValue(c.old_row)}</s>}
+              </div>
+              <div style={{ opacity:.6 }}>{whoChanged(c.changed_by)} • {formatDateTime(c.changed_at)}</div>
+            </div>
+            {undoable.has(c.id) && (
+              <button onClick={()=>undo(c)} disabled={busy} style={{ ...btn, alignSelf:'center' }}>{t('Undo')}</button>
+            )}
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,137 @@
+// src/ImportWizard.jsx
+import { useMemo, useState } from 'react';
+import { IMPORT_FIELDS, parseCSV, parseJSONImport, guessMapping, validateImport } from './lib/transfer';
+import { formatValue } from './lib/format';
+import { t, tn, formatDate } from './lib/i18n';
+
+const btn = { padding:'8px 12px', border:'1px solid #ccc', borderRadius:10, background:'#f0f0f0', color:'#000', cursor:'pointer' };
+const btnDark = { ...btn, border:'1px solid #111', background:'#000', color:'#fff' };
+const select = { padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 };
+const STATUS_COLORS = { new: '#15803d', conflict: '#b45309', error: '#b91c1c' };
+
+// Steps: pick file → map columns → preview conflicts → upsert
+export default function ImportWizard({ myEntries, onImport, onClose }) {
+  const [step, setStep] = useState('file');
+  const [parsed, setParsed] = useState(null); // { headers, records }
+  const [mapping, setMapping] = useState({});
+  const [overwrite, setOverwrite] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState('');
+
+  const preview = useMemo(
+    () => (step === 'preview' && parsed ? validateImport(parsed.records, mapping, myEntries) : []),
+    [step, parsed, mapping, myEntries]
+  );
+  const counts = preview.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+  const toImport = preview.filter((r) => r.status === 'new' || (overwrite && r.status === 'conflict'));
+
+  async function readFile(file) {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const isJson = file.name.toLowerCase().endsWith('.json') || text.trim().startsWith('[') || text.trim().startsWith('{');
+      const data = isJson ? parseJSONImport(text) : parseCSV(text);
+      if (!data.records.length) return alert(t('No rows found in that file.'));
+      setParsed(data);
+      setMapping(guessMapping(data.headers));
+      setStep('map');
+    } catch (e) {
+      alert(t('Could not read file: {error}', { error: e.message }));
+    }
+  }
+
+  async function runImport() {
+    setBusy(true);
+    const { error } = await onImport(toImport);
+    setBusy(false);
+    if (error) return alert(error.message);
+    setResult(tn(toImport.length, 'Imported {n} entry.', 'Imported {n} entries.'));
+    setStep('done');
+  }
+
+  const missingRequired = IMPORT_FIELDS.some((f) => f.required && !mapping[f.key]);
+
+  return (
+    <div style={{position:'fixed',inset:0,background:'rgba(0,0,0,.5)',display:'grid',placeItems:'center',padding:16,zIndex:20}}>
+      <div style={{background:'#fff',borderRadius:12,padding:16,width:'min(94vw,640px)',maxHeight:'90vh',overflow:'auto',color:'#000'}}>
+        <div style={{fontWeight:700,marginBottom:8}}>{t('Import training history')}</div>
+
+        {step === 'file' && (
+          <div style={{display:'grid',gap:8}}>
+            <div style={{fontSize:12}}>
+              {t("Choose a CSV (first row = column names) or a JSON export. Each row needs a date and a value; it's matched to the movement programmed on that date.")}
+            </div>
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={(e)=>readFile(e.target.files?.[0])} />
+          </div>
+        )}
+
+        {step === 'map' && parsed && (
+          <div style={{display:'grid',gap:8}}>
+            <div style={{fontSize:12}}>{tn(parsed.records.length, '{n} row found. Match your columns:', '{n} rows found. Match your columns:')}</div>
+            {IMPORT_FIELDS.map((f) => (
+              <label key={f.key} style={{display:'grid',gridTemplateColumns:'110px 1fr',gap:8,alignItems:'center',fontSize:12}}>
+                <span>{t(f.label)}{f.required ? ' *' : ''}</span>
+                <select value={mapping[f.key] || ''} onChange={(e)=>setMapping({ ...mapping, [f.key]: e.target.value })} style={select}>
+                  <option value="">{f.required ? t('Select column') : t('— not in file —')}</option>
+                  {parsed.headers.map((h) => <option key={h} value={h}>{h}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div style={{display:'grid',gap:8}}>
+            <div style={{fontSize:12}}>
+              <span style={{color:STATUS_COLORS.new}}>{t('{n} new', { n: counts.new || 0 })}</span> •{' '}
+              <span style={{color:STATUS_COLORS.conflict}}>{t('{n} already logged', { n: counts.conflict || 0 })}</span> •{' '}
+              <span style={{color:STATUS_COLORS.error}}>{t('{n} invalid', { n: counts.error || 0 })}</span>
+            </div>
+            {counts.conflict > 0 && (
+              <label style={{fontSize:12,display:'flex',gap:6,alignItems:'center'}}>
+                <input type="checkbox" checked={overwrite} onChange={(e)=>setOverwrite(e.target.checked)} />
+                {t("Overwrite days I've already logged")}
+              </label>
+            )}
+            <table style={{width:'100%',borderCollapse:'collapse',fontSize:12}}>
+              <thead>
+                <tr style={{textAlign:'left'}}><th>{t('Line')}</th><th>{t('Date')}</th><th>{t('Movement')}</th><th>{t('Value')}</th><th>{t('Status')}</th></tr>
+              </thead>
+              <tbody>
+                {preview.map((r) => (
+                  <tr key={r.line} style={{borderTop:'1px solid #eee',verticalAlign:'top'}}>
+                    <td>{r.line}</td>
+                    <td>{r.date ? formatDate(r.date) : '—'}</td>
+                    <td>{r.movement || '—'}</td>
+                    <td>{r.value != null ? `${formatValue(r.value, r.unit)} ${r.unit === 'time' ? '' : r.unit}` : '—'}</td>
+                    <td style={{color:STATUS_COLORS[r.status]}}>
+                      {r.status === 'error' && r.error}
+                      {r.status === 'new' && t('New')}
+                      {r.status === 'conflict' && t('Replaces {value}', { value: `${formatValue(r.existing.value, r.existing.unit)} ${r.existing.unit === 'time' ? '' : r.existing.unit || ''}` })}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {step === 'done' && <div style={{fontSize:14}}>{result}</div>}
+
+        <div style={{display:'flex',justifyContent:'space-between',gap:8,marginTop:12}}>
+          <button onClick={onClose} style={btn}>{step === 'done' ? t('Close') : t('Cancel')}</button>
+          <div style={{display:'flex',gap:8}}>
+            {step === 'map' && <button onClick={()=>setStep('file')} style={btn}>{t('Back')}</button>}
+            {step === 'map' && <button onClick={()=>setStep('preview')} disabled={missingRequired} style={btnDark}>{t('Preview')}</button>}
+            {step === 'preview' && <button onClick={()=>setStep('map')} style={btn}>{t('Back')}</button>}
+            {step === 'preview' && (
+              <button onClick={runImport} disabled={busy || !toImport.length} style={btnDark}>
+                {t('Import {n}', { n: toImport.length })}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { supabase } from './lib/supabase';
+import { repo } from './lib/data';
 
 export default function Login() {
   const [email, setEmail] = useState('');
@@ -7,7 +7,7 @@ export default function Login() {
 
   async function handleLogin(e) {
     e.preventDefault();
-    const { error } = await supabase.auth.signInWithOtp({ email });
+    const { error } = await repo.auth.sendCode(email);
     setMsg(error ? error.message : '✅ Magic link sent! Check your email.');
   }
 
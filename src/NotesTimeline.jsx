@@ -0,0 +1,60 @@
+// src/NotesTimeline.jsx
+import { useMemo, useState } from 'react';
+import { formatValue } from './lib/format';
+import { searchNotes, tagCounts, formatSettings } from './lib/notes';
+import { t, formatDate } from './lib/i18n';
+
+const card = { background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)', color:'#000', marginBottom:12 };
+const control = { padding:'6px 8px', border:'1px solid #ddd', borderRadius:8 };
+const chip = { display:'inline-block', padding:'1px 6px', borderRadius:999, border:'1px solid #ddd', background:'#f6f7f9', fontSize:11, marginRight:4, cursor:'pointer', color:'#000' };
+
+// Notes and session details, newest first, with search and filters
+export default function NotesTimeline({ entries }) {
+  const [text, setText] = useState('');
+  const [tag, setTag] = useState('');
+  const [movement, setMovement] = useState('');
+  const [painOnly, setPainOnly] = useState(false);
+
+  const tags = useMemo(() => tagCounts(entries), [entries]);
+  const movements = useMemo(() => Array.from(new Set(entries.map((e) => e.movement))).sort(), [entries]);
+  const rows = useMemo(() => searchNotes(entries, { text, tag, movement, painOnly }), [entries, text, tag, movement, painOnly]);
+
+  return (
+    <div style={card}>
+      <div style={{ fontWeight:700, marginBottom:8 }}>{t('Notes timeline ({n})', { n: rows.length })}</div>
+      <div style={{ display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginBottom:8 }}>
+        <input value={text} onChange={(e)=>setText(e.target.value)} placeholder={t('Search notes, tags, settings…')} style={{ ...control, flex:'1 1 180px' }} />
+        <select value={tag} onChange={(e)=>setTag(e.target.value)} style={control}>
+          <option value="">{t('All tags')}</option>
+          {tags.map(({ tag: name, count }) => <option key={name} value={name}>#{name} ({count})</option>)}
+        </select>
+        <select value={movement} onChange={(e)=>setMovement(e.target.value)} style={control}>
+          <option value="">{t('All movements')}</option>
+          {movements.map((m) => <option key={m} value={m}>{m}</option>)}
+        </select>
+        <label style={{ fontSize:12, display:'flex', gap:4, alignItems:'center' }}>
+          <input type="checkbox" checked={painOnly} onChange={(e)=>setPainOnly(e.target.checked)} />
+          {t('Pain only')}
+        </label>
+      </div>
+
+      {!rows.length && <div style={{ fontSize:12 }}>{t('No notes match.')}</div>}
+      {rows.map((e) => (
+        <div key={e.date} style={{ borderTop:'1px solid #eee', padding:'6px 0', fontSize:12 }}>
+          <div style={{ display:'flex', flexWrap:'wrap', gap:6, alignItems:'center' }}>
+            <strong>{formatDate(e.date)}</strong>
+            <span>{e.movement}</span>
+            <span style={{ opacity:.7 }}>{formatValue(e.value, e.unit)}{e.unit && e.unit !== 'time' ? ` ${e.unit}` : ''}</span>
+            {e.rpe && <span style={{ ...chip, cursor:'default' }}>{t('RPE {n}', { n: e.rpe })}</span>}
+            {e.pain && <span style={{ ...chip, cursor:'default', background:'#fee2e2', borderColor:'#fca5a5', color:'#b91c1c' }}>{t('Pain')}</span>}
+            {(e.tags || []).map((name) => (
+              <span key={name} onClick={()=>setTag(name)} style={chip} title={t('Filter by this tag')}>#{name}</span>
+            ))}
+          </div>
+          {e.settings && <div style={{ opacity:.7 }}>{formatSettings(e.settings)}</div>}
+          {e.notes && <div style={{ whiteSpace:'pre-wrap' }}>{e.notes}</div>}
+        </div>
+      ))}
+    </div>
+  );
+}
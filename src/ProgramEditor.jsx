@@ -0,0 +1,196 @@
+// src/ProgramEditor.jsx
+import { useState } from 'react';
+import {
+  WEEKDAY_ORDER, MOVEMENT_UNITS, useCycles, getCycleBounds, findOverlaps,
+  saveCycle, deleteCycle, cloneCycle, blankCycle,
+} from './lib/programs';
+import { DIRECTIONS, DIRECTION_LABELS, directionFor } from './lib/scoring';
+import { isWeightUnit } from './lib/units';
+import { t, weekdayName, formatRange } from './lib/i18n';
+
+const card = { background:'#fff', borderRadius:12, padding:12, boxShadow:'0 1px 2px rgba(0,0,0,.06)', color:'#000', marginBottom:12 };
+const input = { padding:8, border:'1px solid #ddd', borderRadius:8, boxSizing:'border-box' };
+const btn = { padding:'6px 10px', border:'1px solid #ccc', borderRadius:8, background:'#f0f0f0', color:'#000', cursor:'pointer' };
+const btnDark = { ...btn, border:'1px solid #111', background:'#000', color:'#fff' };
+
+// Cycle dates are already 'YYYY-MM-DD', so they bind straight to <input type="date">
+const toDraft = (cycle) => ({ ...cycle, endOverride: cycle.endOverride || '' });
+const fromDraft = (draft) => ({
+  ...draft,
+  name: draft.name.trim(),
+  weeks: draft.endOverride ? null : Math.max(1, parseInt(draft.weeks, 10) || 1),
+  endOverride: draft.endOverride || null,
+});
+
+export default function ProgramEditor() {
+  const cycles = useCycles();
+  const [draft, setDraft] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const latest = cycles[cycles.length - 1];
+
+  function setMovement(weekday, patch) {
+    setDraft((d) => {
+      const prev = d.weekTemplate[weekday] || { key: `${d.id}-${weekday}`, name: '', unit: 'lbs', direction: 'higher' };
+      // Switching unit resets direction to that unit's default (times are lower-better)
+      const next = patch.unit ? { ...prev, ...patch, direction: directionFor({ unit: patch.unit }) } : { ...prev, ...patch };
+      return { ...d, weekTemplate: { ...d.weekTemplate, [weekday]: next } };
+    });
+  }
+
+  async function save() {
+    if (!draft.start) return alert(t('Pick a start date.'));
+    const cycle = fromDraft(draft);
+    if (cycle.endOverride && cycle.endOverride < cycle.start) return alert(t('End date is before the start date.'));
+    // Drop weekdays left blank so they show as TBD
+    const weekTemplate = {};
+    for (const [weekday, m] of Object.entries(cycle.weekTemplate)) {
+      if (!m?.name?.trim()) continue;
+      const mov = { ...m, name: m.name.trim(), direction: directionFor(m) };
+      if (mov.direction === 'target') {
+        const min = parseFloat(m.target?.min);
+        const max = parseFloat(m.target?.max);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) return alert(t('{day}: enter a target band (min ≤ max).', { day: weekdayName(weekday) }));
+        mov.target = { min, max };
+      } else {
+        delete mov.target;
+      }
+      // Rep scheme + lift family drive the e1RM charts; only meaningful for loads
+      const reps = parseInt(m.reps, 10);
+      if (isWeightUnit(mov.unit) && reps >= 1) mov.reps = reps;
+      else delete mov.reps;
+      if (isWeightUnit(mov.unit) && m.lift?.trim()) mov.lift = m.lift.trim();
+      else delete mov.lift;
+      weekTemplate[weekday] = mov;
+    }
+    if (!Object.keys(weekTemplate).length) return alert(t('Add at least one movement.'));
+
+    const overlaps = findOverlaps(cycle);
+    if (overlaps.length && !confirm(t('This overlaps {cycles}. Save anyway?', { cycles: overlaps.map((c) => c.name || c.start).join(', ') }))) return;
+
+    setBusy(true);
+    const { error } = await saveCycle({ ...cycle, weekTemplate });
+    setBusy(false);
+    if (error) return alert(error.message);
+    setDraft(null);
+  }
+
+  async function remove() {
+    if (!confirm(t('Delete this cycle? Built-in cycles go back to their original program.'))) return;
+    setBusy(true);
+    const { error } = await deleteCycle(draft.id);
+    setBusy(false);
+    if (error) return alert(error.message);
+    setDraft(null);
+  }
+
+  if (draft) {
+    const bounds = draft.start ? getCycleBounds(fromDraft(draft)) : null;
+    return (
+      <div style={card}>
+        <div style={{ fontWeight:700, marginBottom:8 }}>{cycles.some((c) => c.id === draft.id) ? t('Edit cycle') : t('New cycle')}</div>
+        <div style={{ display:'grid', gap:8 }}>
+          <label style={{ fontSize:12 }}>
+            {t('Name')}
+            <input value={draft.name} onChange={(e)=>setDraft({ ...draft, name: e.target.value })} placeholder={t('e.g. April 2026')} style={{ ...input, width:'100%' }} />
+          </label>
+          <div style={{ display:'flex', gap:8, flexWrap:'wrap', alignItems:'end' }}>
+            <label style={{ fontSize:12 }}>
+              {t('Start')}
+              <input type="date" value={draft.start} onChange={(e)=>setDraft({ ...draft, start: e.target.value })} style={{ ...input, display:'block' }} />
+            </label>
+            {draft.endOverride ? (
+              <label style={{ fontSize:12 }}>
+                {t('End')}
+                <input type="date" value={draft.endOverride} onChange={(e)=>setDraft({ ...draft, endOverride: e.target.value })} style={{ ...input, display:'block' }} />
+              </label>
+            ) : (
+              <label style={{ fontSize:12 }}>
+                {t('Weeks')}
+                <input type="number" min={1} max={52} value={draft.weeks ?? ''} onChange={(e)=>setDraft({ ...draft, weeks: e.target.value })} style={{ ...input, display:'block', width:80 }} />
+              </label>
+            )}
+            {bounds && (
+              <span style={{ fontSize:12, opacity:0.7, paddingBottom:8 }}>
+                {formatRange(bounds)}
+              </span>
+            )}
+          </div>
+
+          {WEEKDAY_ORDER.map((weekday) => {
+            const m = draft.weekTemplate[weekday];
+            return (
+              <div key={weekday} style={{ display:'grid', gridTemplateColumns:'90px 1fr 80px 110px', gap:6, alignItems:'center' }}>
+                <span style={{ fontSize:12 }}>{weekdayName(weekday)}</span>
+                <input value={m?.name || ''} onChange={(e)=>setMovement(weekday, { name: e.target.value })} placeholder="TBD" style={input} />
+                <select value={m?.unit || 'lbs'} onChange={(e)=>setMovement(weekday, { unit: e.target.value })} style={input}>
+                  {MOVEMENT_UNITS.map((u) => <option key={u} value={u}>{u}</option>)}
+                </select>
+                <select value={directionFor(m)} onChange={(e)=>setMovement(weekday, { direction: e.target.value })} style={input}>
+                  {DIRECTIONS.map((d) => <option key={d} value={d}>{t(DIRECTION_LABELS[d])}</option>)}
+                </select>
+                {directionFor(m) === 'target' && (
+                  <div style={{ gridColumn:'2 / -1', display:'flex', gap:6, alignItems:'center', fontSize:12 }}>
+                    {t('Band')}
+                    <input value={m?.target?.min ?? ''} onChange={(e)=>setMovement(weekday, { target: { ...m?.target, min: e.target.value } })} placeholder={t('min')} style={{ ...input, width:80 }} />
+                    –
+                    <input value={m?.target?.max ?? ''} onChange={(e)=>setMovement(weekday, { target: { ...m?.target, max: e.target.value } })} placeholder={t('max')} style={{ ...input, width:80 }} />
+                  </div>
+                )}
+                {m && isWeightUnit(m.unit) && (
+                  <div style={{ gridColumn:'2 / -1', display:'flex', gap:6, alignItems:'center', fontSize:12 }}>
+                    {t('Rep max')}
+                    <input type="number" min={1} max={20} value={m.reps ?? ''} onChange={(e)=>setMovement(weekday, { reps: e.target.value })} placeholder="—" style={{ ...input, width:60 }} />
+                    {t('Lift')}
+                    <input value={m.lift || ''} onChange={(e)=>setMovement(weekday, { lift: e.target.value })} placeholder={t('e.g. RDL (compares blocks)')} style={{ ...input, flex:1, minWidth:0 }} />
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          <div style={{ display:'flex', justifyContent:'space-between', gap:8, marginTop:8 }}>
+            <button onClick={()=>setDraft(null)} style={btn}>{t('Cancel')}</button>
+            <div style={{ display:'flex', gap:8 }}>
+              {cycles.some((c) => c.id === draft.id && !c.builtIn) && (
+                <button onClick={remove} disabled={busy} style={{ ...btn, color:'#b91c1c' }}>{t('Delete')}</button>
+              )}
+              <button onClick={save} disabled={busy} style={btnDark}>{t('Save Cycle')}</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div style={{ display:'flex', gap:8, alignItems:'center', marginBottom:8, flexWrap:'wrap' }}>
+        <div style={{ fontWeight:700 }}>{t('Programs')}</div>
+        <button onClick={()=>setDraft(toDraft(blankCycle()))} style={btn}>{t('New cycle')}</button>
+        {latest && (
+          <button onClick={()=>setDraft(toDraft(cloneCycle(latest)))} style={btnDark}>{t('Schedule next (clone latest)')}</button>
+        )}
+      </div>
+
+      {[...cycles].reverse().map((c) => {
+        const bounds = getCycleBounds(c);
+        return (
+          <div key={c.id} style={{ ...card, display:'flex', justifyContent:'space-between', alignItems:'center', gap:8 }}>
+            <div style={{ minWidth:0 }}>
+              <div style={{ fontWeight:700 }}>
+                {c.name || t('Untitled cycle')}
+                {c.builtIn && <span style={{ fontSize:11, opacity:0.6, marginLeft:6 }}>{t('built-in')}</span>}
+              </div>
+              <div style={{ fontSize:12, opacity:0.7 }}>{formatRange(bounds)}</div>
+            </div>
+            <div style={{ display:'flex', gap:6 }}>
+              <button onClick={()=>setDraft(toDraft(c))} style={btn}>{t('Edit')}</button>
+              <button onClick={()=>setDraft(toDraft(cloneCycle(c)))} style={btn}>{t('Clone')}</button>
+            </div>
+          </div>
+        );
+      })}
+    </>
+  );
+}
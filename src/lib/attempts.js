@@ -0,0 +1,66 @@
+// src/lib/attempts.js
+// An entry can hold several attempts/sets. The day's score (`entries.value`) is
+// always the best attempt by the movement's scoring direction, so charts and the
+// leaderboard keep reading a single number.
+import { formatDuration, parseDuration } from './format';
+import { bestOf } from './scoring';
+import { t } from './i18n';
+
+// Form state keeps raw strings so inputs stay controlled
+export const emptyAttempt = () => ({ value: '', reps: '', load: '', rpe: '' });
+
+const toText = (n) => (n == null ? '' : String(n));
+
+export function attemptsFromEntry(entry, unit) {
+  const list = Array.isArray(entry?.attempts) && entry.attempts.length
+    ? entry.attempts
+    : entry?.value != null ? [{ value: entry.value }] : [];
+  if (!list.length) return [emptyAttempt()];
+  return list.map((a) => ({
+    value: a.value == null ? '' : unit === 'time' ? formatDuration(a.value) : String(a.value),
+    reps: toText(a.reps),
+    load: toText(a.load),
+    rpe: toText(a.rpe),
+  }));
+}
+
+// Blank rows are skipped; returns { attempts } or { error }
+export function parseAttempts(drafts, unit) {
+  const isTime = unit === 'time';
+  const attempts = [];
+  for (const [i, d] of drafts.entries()) {
+    if (!String(d.value).trim() && !d.reps && !d.load && !d.rpe) continue;
+    const label = drafts.length > 1 ? t('Attempt {n}: ', { n: i + 1 }) : '';
+    const value = isTime ? parseDuration(d.value) : parseFloat(d.value);
+    if (!value || value <= 0) {
+      return { error: label + (isTime ? t('Enter a time as m:ss or m:ss.hh (e.g. 1:45.30).') : t('Enter a positive number.')) };
+    }
+    const attempt = { value };
+    if (d.reps !== '') {
+      const reps = parseInt(d.reps, 10);
+      if (!reps || reps <= 0) return { error: label + t('Reps must be a whole number above 0.') };
+      attempt.reps = reps;
+    }
+    if (d.load !== '') {
+      const load = parseFloat(d.load);
+      if (!Number.isFinite(load) || load < 0) return { error: label + t('Load must be a number.') };
+      attempt.load = load;
+    }
+    if (d.rpe !== '') {
+      const rpe = parseFloat(d.rpe);
+      if (!(rpe >= 1 && rpe <= 10)) return { error: label + t('RPE must be between 1 and 10.') };
+      attempt.rpe = rpe;
+    }
+    attempts.push(attempt);
+  }
+  if (!attempts.length) return { error: isTime ? t('Enter a time as m:ss or m:ss.hh (e.g. 1:45.30).') : t('Enter a positive number.') };
+  return { attempts };
+}
+
+export const bestAttempt = (attempts, movement) => bestOf(attempts, movement);
+
+// The entry's RPE: the hardest attempt's, or null when no attempt has one
+export function sessionRpe(attempts) {
+  const rpes = attempts.map((a) => a.rpe).filter((r) => r != null);
+  return rpes.length ? Math.max(...rpes) : null;
+}
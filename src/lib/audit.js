@@ -0,0 +1,49 @@
+// src/lib/audit.js
+// Entry edit/delete plus the audit trail (written by the entries_audit trigger, or
+// by the local backend). Undo puts the row back the way it was before a change
+// (and is itself audited).
+import { repo } from './data';
+
+// Columns copied back when restoring a row (no ids/timestamps)
+const ENTRY_COLUMNS = ['user_id', 'date', 'movement', 'value', 'attempts', 'unit', 'name', 'gender', 'notes',
+  'rpe', 'pain', 'settings', 'tags'];
+// Session details for rows audited before those columns existed
+const DETAIL_DEFAULTS = { rpe: null, pain: false, settings: null, tags: [] };
+const pickEntry = (row) =>
+  Object.fromEntries(ENTRY_COLUMNS.filter((k) => k in row || k in DETAIL_DEFAULTS).map((k) => [k, k in row ? row[k] : DETAIL_DEFAULTS[k]]));
+
+export const updateEntry = (entry, patch) => repo.entries.update(entry, patch);
+
+export const deleteEntry = (entry) => repo.entries.remove(entry);
+
+// Newest first. Members only ever get their own rows back (RLS); coaches can pass
+// userId = null to see everyone's.
+export async function loadAudit({ userId = null, limit = 100 } = {}) {
+  const { data, error } = await repo.audit.list({ userId, limit });
+  if (error) {
+    console.error('loadAudit error:', error);
+    return { changes: [], error };
+  }
+  return { changes: data || [] };
+}
+
+// Ids of the newest change per entry (changes newest first). Only those can be
+// undone: restoring an older one would overwrite the edits made after it.
+export function undoableIds(changes) {
+  const seen = new Set();
+  const ids = new Set();
+  for (const c of changes) {
+    const key = `${c.entry_user_id}|${c.entry_date}`;
+    if (!seen.has(key)) ids.add(c.id);
+    seen.add(key);
+  }
+  return ids;
+}
+
+export async function undoChange(change) {
+  // An insert is undone by removing the row; anything else restores the old row
+  if (!change.old_row) {
+    return deleteEntry({ user_id: change.entry_user_id, date: change.entry_date });
+  }
+  return repo.entries.upsert(pickEntry(change.old_row));
+}
@@ -0,0 +1,54 @@
+// src/lib/cache.js
+// Stale-while-revalidate for repository reads: the last good result is handed
+// back straight away (from memory, else localStorage), then the fresh one
+// replaces it when the request lands.
+const PREFIX = 'mom3nt_cache:';
+const memory = new Map();
+
+function read(key) {
+  if (memory.has(key)) return memory.get(key);
+  try {
+    const raw = localStorage.getItem(PREFIX + key);
+    if (!raw) return null;
+    const hit = JSON.parse(raw);
+    memory.set(key, hit);
+    return hit;
+  } catch {
+    return null;
+  }
+}
+
+export function writeCache(key, data) {
+  const hit = { data, at: Date.now() };
+  memory.set(key, hit);
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(hit));
+  } catch {
+    // Storage full or unavailable: the in-memory copy still works
+  }
+}
+
+// onData(data, { stale }) runs up to twice: cached copy first, then fresh.
+// Resolves to the fetcher's { data, error }.
+export async function swr(key, fetcher, onData) {
+  const hit = read(key);
+  if (hit) onData(hit.data, { stale: true });
+  const res = await fetcher();
+  if (!res.error) {
+    writeCache(key, res.data);
+    onData(res.data, { stale: false });
+  }
+  return res;
+}
+
+// On sign-out, so the next member on this device doesn't see cached data
+export function clearCache() {
+  memory.clear();
+  try {
+    Object.keys(localStorage)
+      .filter((k) => k.startsWith(PREFIX))
+      .forEach((k) => localStorage.removeItem(k));
+  } catch {
+    // nothing persisted
+  }
+}
@@ -0,0 +1,65 @@
+// src/lib/compare.js
+// Side-by-side report for two cycles: each weekday slot's results, lined up by
+// cycle week (week 1, week 2, …) rather than calendar date.
+import { daysBetween, addDaysISO, todayISO, weekdayIndex, isWithinISO } from './dates';
+import { getCycleBounds, WEEKDAY_ORDER } from './programs';
+import { bestOf, improvement } from './scoring';
+
+export const weekOfCycle = (dateISO, cycle) => Math.floor(daysBetween(cycle.start, dateISO) / 7) + 1;
+
+export function weeksIn(cycle) {
+  const { start, end } = getCycleBounds(cycle);
+  return Math.ceil((daysBetween(start, end) + 1) / 7);
+}
+
+// Days in the cycle that fall on `weekday` (day index), up to today for a cycle still running
+function slotDates(cycle, weekday, today) {
+  const { start, end } = getCycleBounds(cycle);
+  const dates = [];
+  for (let d = start; d <= end && d <= today; d = addDaysISO(d, 1)) {
+    if (weekdayIndex(d) === weekday) dates.push(d);
+  }
+  return dates;
+}
+
+// Stats for one weekday slot of one cycle, or null when nothing is programmed there
+export function slotStats(entries, cycle, weekday, today = todayISO()) {
+  const movement = cycle?.weekTemplate[weekday];
+  if (!movement) return null;
+  const { start, end } = getCycleBounds(cycle);
+  const rows = entries
+    .filter((e) => e.movement === movement.name && isWithinISO(e.date, start, end) && weekdayIndex(e.date) === weekday)
+    .map((e) => ({ date: e.date, value: Number(e.value), week: weekOfCycle(e.date, cycle) }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const first = rows[0] || null;
+  const last = rows[rows.length - 1] || null;
+  const change = rows.length > 1 ? last.value - first.value : null;
+  return {
+    movement,
+    rows,
+    first,
+    last,
+    best: bestOf(rows, movement),
+    change,
+    pct: change != null && first.value ? (change / first.value) * 100 : null,
+    trend: rows.length > 1 ? improvement(first.value, last.value, movement) : 0,
+    sessions: rows.length,
+    available: slotDates(cycle, weekday, today).length,
+  };
+}
+
+// One entry per weekday programmed in either cycle
+export const compareCycles = (entries, cycleA, cycleB, today = todayISO()) =>
+  WEEKDAY_ORDER
+    .map((weekday) => ({ weekday, a: slotStats(entries, cycleA, weekday, today), b: slotStats(entries, cycleB, weekday, today) }))
+    .filter((slot) => slot.a || slot.b);
+
+// Chart rows keyed by cycle week: [{ week, a, b }]
+export function overlayByWeek(slot) {
+  const weeks = Math.max(0, ...[...(slot.a?.rows || []), ...(slot.b?.rows || [])].map((r) => r.week));
+  return Array.from({ length: weeks }, (_, i) => ({
+    week: i + 1,
+    a: slot.a?.rows.find((r) => r.week === i + 1)?.value ?? null,
+    b: slot.b?.rows.find((r) => r.week === i + 1)?.value ?? null,
+  }));
+}
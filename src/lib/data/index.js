@@ -0,0 +1,24 @@
+// src/lib/data/index.js
+// The one place the UI gets data from. VITE_DATA_BACKEND picks the backend:
+// 'supabase' (default) or 'local' (memory + localStorage, no network — for demos).
+// The local backend is only used when asked for: a build missing its Supabase
+// settings gets configError (shown instead of the app) and no repo.
+import { supabase } from '../supabase';
+import { createSupabaseRepo } from './supabaseRepo';
+import { createLocalRepo } from './localRepo';
+
+const env = (import.meta && import.meta.env) || {};
+const wanted = env.VITE_DATA_BACKEND || 'supabase';
+
+function backendError() {
+  if (wanted === 'local') return null;
+  if (wanted !== 'supabase') return `Unknown VITE_DATA_BACKEND "${wanted}". Use 'supabase' or 'local'.`;
+  if (!supabase) return 'VITE_SUPABASE_URL and VITE_SUPABASE_ANON_KEY are not set. Add them, or set VITE_DATA_BACKEND=local to run a demo on this device.';
+  return null;
+}
+
+export const configError = backendError();
+export const repo = configError ? null : wanted === 'local' ? createLocalRepo() : createSupabaseRepo(supabase);
+export const isLocalBackend = repo?.kind === 'local';
+
+export { createSupabaseRepo, createLocalRepo };
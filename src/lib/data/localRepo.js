@@ -0,0 +1,241 @@
+// src/lib/data/localRepo.js
+// Offline backend for demos (VITE_DATA_BACKEND=local) and tests: same surface as
+// supabaseRepo, kept in memory and mirrored to localStorage when there is one. Any
+// email signs in with any 6-digit code, and the single local member manages their
+// own program.
+import { convertValue, isWeightUnit } from '../units';
+import { ageGroupFor, bodyweightClassFor } from '../divisions';
+import { compareValues } from '../scoring';
+
+const EMPTY = () => ({ entries: [], profiles: {}, cycles: [], audit: [], push: {}, session: null, nextAuditId: 1 });
+const ok = (data = null) => Promise.resolve({ data, error: null });
+const fail = (message) => Promise.resolve({ data: null, error: new Error(message) });
+const clone = (v) => (v == null ? v : JSON.parse(JSON.stringify(v)));
+const sameEntry = (a, b) => a.user_id === b.user_id && a.date === b.date;
+const bodyweightKg = (p) => (p?.bodyweight ? convertValue(p.bodyweight, p.bodyweight_unit || 'kgs', 'kgs') : null);
+
+export function createLocalRepo({ storage = typeof localStorage !== 'undefined' ? localStorage : null, key = 'mom3nt_local_db' } = {}) {
+  let db = EMPTY();
+  try {
+    const saved = storage?.getItem(key);
+    if (saved) db = { ...db, ...JSON.parse(saved) };
+  } catch (e) {
+    console.error('Local data unreadable, starting fresh:', e);
+  }
+  const listeners = new Set();
+  const changeListeners = new Set(); // stands in for the realtime channel
+
+  const persist = () => {
+    try {
+      storage?.setItem(key, JSON.stringify(db));
+    } catch (e) {
+      console.error('Local data not saved:', e);
+    }
+  };
+  const setSession = (session) => {
+    db.session = session;
+    persist();
+    listeners.forEach((fn) => fn(session));
+  };
+
+  // Mirrors the entries_audit trigger, and tells realtime subscribers
+  const audit = (action, oldRow, newRow) => {
+    const row = oldRow || newRow;
+    changeListeners.forEach((fn) => fn({ type: action, row: clone(newRow), old: clone(oldRow) }));
+    db.audit.push({
+      id: db.nextAuditId++,
+      entry_user_id: row.user_id,
+      entry_date: row.date,
+      action,
+      old_row: clone(oldRow),
+      new_row: clone(newRow),
+      changed_by: db.session?.user.id || null,
+      changed_at: new Date().toISOString(),
+    });
+  };
+
+  const upsertOne = (row) => {
+    const i = db.entries.findIndex((e) => sameEntry(e, row));
+    if (i === -1) {
+      const created = { ...clone(row), created_at: new Date().toISOString() };
+      db.entries.push(created);
+      audit('insert', null, created);
+    } else {
+      const before = db.entries[i];
+      db.entries[i] = { ...before, ...clone(row) };
+      audit('update', before, db.entries[i]);
+    }
+  };
+
+  // Opted-out athletes are hidden from everyone but themselves
+  const hidden = (userId) => userId !== db.session?.user.id && !!db.profiles[userId]?.leaderboard_opt_out;
+
+  // Mirrors the leaderboard_best function
+  const bestPerAthlete = ({ movement, from = null, to = null, direction = 'higher', unit = null, target = null }) => {
+    const scoring = { direction, target };
+    const v = (e) => (unit ? convertValue(e.value, e.unit, unit) : Number(e.value));
+    const best = new Map();
+    for (const e of db.entries) {
+      if (e.movement !== movement || (from && e.date < from) || (to && e.date > to) || hidden(e.user_id)) continue;
+      const prev = best.get(e.user_id);
+      const cmp = prev ? compareValues(v(e), v(prev), scoring) : -1;
+      if (cmp < 0 || (cmp === 0 && e.date < prev.date)) best.set(e.user_id, e);
+    }
+    return Array.from(best.values());
+  };
+
+  return {
+    kind: 'local',
+
+    auth: {
+      getSession: () => Promise.resolve({ session: db.session, error: null }),
+      setSession: () => Promise.resolve({ session: db.session, error: null }),
+      onChange(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+      },
+      sendCode: () => ok(),
+      verifyCode(email, token) {
+        if (!/^\d{6}$/.test(token || '')) return Promise.resolve({ session: null, error: new Error('Enter any 6-digit code.') });
+        const address = email.trim().toLowerCase();
+        const session = { access_token: 'local', user: { id: `local-${address}`, email: address } };
+        setSession(session);
+        return Promise.resolve({ session, error: null });
+      },
+      signOut() {
+        setSession(null);
+        return ok();
+      },
+    },
+
+    entries: {
+      listRange: ({ from, to }) =>
+        ok(clone(db.entries
+          .filter((e) => e.date >= from && e.date <= to)
+          .sort((a, b) => a.date.localeCompare(b.date)))),
+      listForUser: (userId, { from = null, to = null } = {}) =>
+        ok(clone(db.entries
+          .filter((e) => e.user_id === userId && (!from || e.date >= from) && (!to || e.date <= to))
+          .sort((a, b) => a.date.localeCompare(b.date)))),
+      nameVariants() {
+        const byKey = new Map();
+        for (const e of db.entries) {
+          const name = (e.name || '').trim() || '(blank)';
+          const k = `${e.user_id}|${name}`;
+          const prev = byKey.get(k);
+          byKey.set(k, prev
+            ? { ...prev, count: prev.count + 1, first: e.date < prev.first ? e.date : prev.first, last: e.date > prev.last ? e.date : prev.last }
+            : { user_id: e.user_id, name, count: 1, first: e.date, last: e.date });
+        }
+        return ok(Array.from(byKey.values()));
+      },
+      subscribe(onChange, onStatus = () => {}) {
+        changeListeners.add(onChange);
+        Promise.resolve().then(() => changeListeners.has(onChange) && onStatus('live'));
+        return () => changeListeners.delete(onChange);
+      },
+      upsert(rows) {
+        const list = Array.isArray(rows) ? rows : [rows];
+        if (list.some((r) => !r.user_id || !r.date)) return fail('Entries need a user_id and date.');
+        list.forEach(upsertOne);
+        persist();
+        return ok();
+      },
+      update(keyRow, patch) {
+        const i = db.entries.findIndex((e) => sameEntry(e, keyRow));
+        if (i === -1) return ok();
+        const before = db.entries[i];
+        db.entries[i] = { ...before, ...clone(patch) };
+        audit('update', before, db.entries[i]);
+        persist();
+        return ok();
+      },
+      remove(keyRow) {
+        const before = db.entries.find((e) => sameEntry(e, keyRow));
+        if (!before) return ok();
+        db.entries = db.entries.filter((e) => e !== before);
+        audit('delete', before, null);
+        persist();
+        return ok();
+      },
+    },
+
+    profiles: {
+      get: (id) => ok(clone({ ...db.profiles[id], is_coach: true })),
+      save(profile) {
+        db.profiles[profile.id] = { ...db.profiles[profile.id], ...clone(profile) };
+        persist();
+        return ok();
+      },
+      directory: () =>
+        ok(Object.entries(db.profiles).map(([id, p]) => ({
+          id,
+          display_name: (p.display_name || '').trim() || (p.name || '').trim().split(' ')[0] || null,
+          gender: p.gender || null,
+          leaderboard_opt_out: !!p.leaderboard_opt_out,
+          age_group: ageGroupFor(p.birth_year)?.key || null,
+          weight_class: bodyweightClassFor(bodyweightKg(p)),
+        }))),
+    },
+
+    leaderboard: {
+      best: (query) => ok(clone(bestPerAthlete(query))),
+      // Same as leaderboard_relative: best load in kg ÷ bodyweight in kg, as unit 'ratio'
+      relative: ({ movement, from = null, to = null }) =>
+        ok(clone(bestPerAthlete({ movement, from, to, unit: 'kgs' })
+          .filter((e) => isWeightUnit(e.unit) && bodyweightKg(db.profiles[e.user_id]) > 0)
+          .map((e) => ({ ...e, value: convertValue(e.value, e.unit, 'kgs') / bodyweightKg(db.profiles[e.user_id]), unit: 'ratio' })))),
+    },
+
+    cycles: {
+      list: () => ok(clone([...db.cycles].sort((a, b) => a.start_date.localeCompare(b.start_date)))),
+      save(row) {
+        db.cycles = [...db.cycles.filter((c) => c.id !== row.id), clone(row)];
+        persist();
+        return ok(clone(row));
+      },
+      remove(id) {
+        db.cycles = db.cycles.filter((c) => c.id !== id);
+        persist();
+        return ok();
+      },
+    },
+
+    // Same rows as push_subscriptions; list/markSent serve the local push stand-in
+    push: {
+      save({ subscription, time, timeZone, locale }) {
+        const prev = db.push[subscription.endpoint];
+        db.push[subscription.endpoint] = {
+          ...prev,
+          endpoint: subscription.endpoint,
+          user_id: db.session?.user.id || null,
+          keys: clone(subscription.keys || {}),
+          reminder_time: time,
+          time_zone: timeZone,
+          locale: locale || 'en',
+          last_sent_on: prev?.last_sent_on || null,
+        };
+        persist();
+        return ok();
+      },
+      remove(endpoint) {
+        delete db.push[endpoint];
+        persist();
+        return ok();
+      },
+      list: () => ok(clone(Object.values(db.push))),
+      markSent(endpoint, date) {
+        if (db.push[endpoint]) db.push[endpoint].last_sent_on = date;
+        persist();
+        return ok();
+      },
+    },
+
+    audit: {
+      list({ userId = null, limit = 100 } = {}) {
+        const rows = db.audit.filter((a) => !userId || a.entry_user_id === userId);
+        return ok(clone(rows.slice(-limit).reverse()));
+      },
+    },
+  };
+}
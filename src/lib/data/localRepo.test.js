@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import { createLocalRepo } from './localRepo';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return { getItem: (k) => items.get(k) ?? null, setItem: (k, v) => items.set(k, v) };
+};
+const entry = (user_id, date, value, extra = {}) =>
+  ({ user_id, date, movement: 'Squat', value, unit: 'lbs', attempts: [{ value }], ...extra });
+
+async function signedIn(email = 'me@example.com') {
+  const repo = createLocalRepo({ storage: memoryStorage() });
+  const { session } = await repo.auth.verifyCode(email, '123456');
+  return { repo, me: session.user.id };
+}
+
+describe('createLocalRepo auth', () => {
+  it('signs in with any email and any 6-digit code', async () => {
+    const repo = createLocalRepo({ storage: null });
+    expect((await repo.auth.verifyCode('me@example.com', '12345')).error).toBeTruthy();
+    const { session } = await repo.auth.verifyCode(' Me@Example.com ', '000000');
+    expect(session.user).toEqual({ id: 'local-me@example.com', email: 'me@example.com' });
+  });
+});
+
+describe('createLocalRepo entries (mirrors the entries triggers)', () => {
+  it('audits inserts, overwrites and deletes with the old and new rows', async () => {
+    const { repo, me } = await signedIn();
+    await repo.entries.upsert(entry(me, '2026-03-02', 100));
+    await repo.entries.upsert(entry(me, '2026-03-02', 110));
+    await repo.entries.update({ user_id: me, date: '2026-03-02' }, { notes: 'easy' });
+    await repo.entries.remove({ user_id: me, date: '2026-03-02' });
+
+    const { data } = await repo.audit.list({ userId: me });
+    expect(data.map((a) => a.action)).toEqual(['delete', 'update', 'update', 'insert']);
+    const [removed, noted, overwrite, insert] = data;
+    expect(insert).toMatchObject({ entry_user_id: me, entry_date: '2026-03-02', old_row: null, changed_by: me });
+    expect(overwrite.old_row.value).toBe(100);
+    expect(overwrite.new_row.value).toBe(110);
+    expect(noted.new_row).toMatchObject({ value: 110, notes: 'easy' });
+    expect(removed).toMatchObject({ new_row: null, old_row: { value: 110, notes: 'easy' } });
+    expect((await repo.entries.listForUser(me)).data).toEqual([]);
+  });
+
+  it('raises the same change events as the realtime channel', async () => {
+    const { repo, me } = await signedIn();
+    const changes = [];
+    const statuses = [];
+    const unsubscribe = repo.entries.subscribe((c) => changes.push(c), (s) => statuses.push(s));
+    await repo.entries.upsert(entry(me, '2026-03-02', 100));
+    await repo.entries.update({ user_id: me, date: '2026-03-02' }, { value: 105 });
+    await repo.entries.remove({ user_id: me, date: '2026-03-02' });
+    unsubscribe();
+    await repo.entries.upsert(entry(me, '2026-03-09', 100));
+
+    expect(statuses).toEqual(['live']);
+    expect(changes.map((c) => [c.type, c.old?.value ?? null, c.row?.value ?? null])).toEqual([
+      ['insert', null, 100],
+      ['update', 100, 105],
+      ['delete', 105, null],
+    ]);
+  });
+
+  it('ignores updates and deletes of missing rows and rejects rows without a key', async () => {
+    const { repo, me } = await signedIn();
+    await repo.entries.update({ user_id: me, date: '2026-03-02' }, { value: 1 });
+    await repo.entries.remove({ user_id: me, date: '2026-03-02' });
+    expect((await repo.audit.list()).data).toEqual([]);
+    expect((await repo.entries.upsert({ value: 1 })).error).toBeTruthy();
+  });
+
+  it('keeps data across instances through storage', async () => {
+    const storage = memoryStorage();
+    const first = createLocalRepo({ storage });
+    await first.entries.upsert(entry('u1', '2026-03-02', 100));
+    const { data } = await createLocalRepo({ storage }).entries.listForUser('u1');
+    expect(data).toHaveLength(1);
+  });
+});
+
+describe('createLocalRepo leaderboard (mirrors leaderboard_best / leaderboard_relative)', () => {
+  const HIDDEN = 'local-hidden@example.com';
+
+  async function withAthletes() {
+    const { repo, me } = await signedIn();
+    await repo.profiles.save({ id: me, name: 'Me', bodyweight: 100, bodyweight_unit: 'kgs' });
+    await repo.profiles.save({ id: 'u2', name: 'Ana', bodyweight: 170, bodyweight_unit: 'lbs' });
+    await repo.profiles.save({ id: HIDDEN, name: 'Hidden', leaderboard_opt_out: true, bodyweight: 60 });
+    await repo.entries.upsert([
+      entry(me, '2026-03-02', 100, { unit: 'kgs' }),
+      entry(me, '2026-03-09', 200),
+      entry('u2', '2026-03-02', 200),
+      entry('u2', '2026-03-09', 200),
+      entry(HIDDEN, '2026-03-02', 300),
+    ]);
+    return { repo, me };
+  }
+
+  it('returns each visible athlete\'s best, earliest on ties, compared in one unit', async () => {
+    const { repo, me } = await withAthletes();
+    const { data } = await repo.leaderboard.best({ movement: 'Squat', unit: 'lbs' });
+    expect(data.map((e) => [e.user_id, e.date])).toEqual([[me, '2026-03-02'], ['u2', '2026-03-02']]);
+  });
+
+  it('hides opted-out athletes from everyone but themselves', async () => {
+    const { repo } = await withAthletes();
+    expect((await repo.leaderboard.best({ movement: 'Squat' })).data.map((e) => e.user_id)).not.toContain(HIDDEN);
+    expect((await repo.leaderboard.relative({ movement: 'Squat' })).data.map((e) => e.user_id)).not.toContain(HIDDEN);
+    await repo.auth.verifyCode('hidden@example.com', '123456');
+    expect((await repo.leaderboard.best({ movement: 'Squat' })).data.map((e) => e.user_id)).toContain(HIDDEN);
+  });
+
+  it('scores relative strength as kg lifted per kg of bodyweight', async () => {
+    const { repo, me } = await withAthletes();
+    const { data } = await repo.leaderboard.relative({ movement: 'Squat' });
+    const ratios = Object.fromEntries(data.map((e) => [e.user_id, e.value]));
+    expect(data.every((e) => e.unit === 'ratio')).toBe(true);
+    expect(ratios[me]).toBeCloseTo(1);
+    expect(ratios.u2).toBeCloseTo(200 / 170, 5); // lbs ÷ lbs, same as kg ÷ kg
+  });
+
+  it('lists the directory with groups instead of birth year and bodyweight', async () => {
+    const { repo } = await withAthletes();
+    const { data } = await repo.profiles.directory();
+    const ana = data.find((p) => p.id === 'u2');
+    expect(ana).toEqual({ id: 'u2', display_name: 'Ana', gender: null, leaderboard_opt_out: false, age_group: null, weight_class: '80' });
+  });
+});
@@ -0,0 +1,129 @@
+// src/lib/data/supabaseRepo.js
+// Hosted backend: a thin wrapper over the Supabase client. Every method resolves
+// to { data, error } (auth calls to { session, error }) like the local backend.
+const PROFILE_COLUMNS =
+  'name, gender, is_coach, unit_pref, display_name, leaderboard_opt_out, birth_year, bodyweight, bodyweight_unit';
+const DIRECTORY_COLUMNS = 'id, display_name, gender, leaderboard_opt_out, age_group, weight_class';
+const ON_ENTRY = { onConflict: ['user_id', 'date'] }; // unique on (user_id,date)
+// Time values are seconds; the flag keeps 20260308000000_time_seconds off rows this app wrote
+const markSeconds = (row) => ({ ...row, value_is_seconds: true });
+
+export function createSupabaseRepo(client) {
+  const withSession = async (promise) => {
+    const { data, error } = await promise;
+    return { session: data?.session ?? null, error };
+  };
+
+  return {
+    kind: 'supabase',
+
+    auth: {
+      getSession: () => withSession(client.auth.getSession()),
+      setSession: (tokens) => withSession(client.auth.setSession(tokens)),
+      // Returns an unsubscribe function
+      onChange(fn) {
+        const { data } = client.auth.onAuthStateChange((_event, s) => fn(s));
+        return () => data?.subscription?.unsubscribe();
+      },
+      sendCode: (email, redirectTo) => client.auth.signInWithOtp({ email, options: { emailRedirectTo: redirectTo } }),
+      verifyCode: (email, token) => withSession(client.auth.verifyOtp({ email, token, type: 'email' })),
+      signOut: () => client.auth.signOut(),
+    },
+
+    entries: {
+      // Everyone's entries in [from, to]; RLS only lets coaches see other members
+      listRange: ({ from, to }) =>
+        client.from('entries').select('*').gte('date', from).lte('date', to).order('date', { ascending: true }),
+      // One member's entries (yours, or anyone's for a coach), optionally within [from, to]
+      listForUser(userId, { from = null, to = null } = {}) {
+        let query = client.from('entries').select('*').eq('user_id', userId);
+        if (from) query = query.gte('date', from);
+        if (to) query = query.lte('date', to);
+        return query.order('date', { ascending: true });
+      },
+      nameVariants: () => client.from('entry_name_variants').select('*'),
+      // Realtime changes: onChange({ type: 'insert'|'update'|'delete', row, old, partial }),
+      // onStatus('live'|'down'). Returns an unsubscribe function. Full rows arrive
+      // from entries (own rows; every row for coaches), score-only rows (partial)
+      // from entry_results for everyone. Under RLS a delete's `old` is only the
+      // primary key: user_id and date from entry_results, null when there's no user_id.
+      subscribe(onChange, onStatus = () => {}) {
+        let closed = false;
+        const forward = (partial) => (payload) =>
+          onChange({
+            type: payload.eventType.toLowerCase(),
+            row: payload.new?.user_id ? payload.new : null,
+            old: payload.old?.user_id ? payload.old : null,
+            partial,
+          });
+        const channel = client
+          .channel('entries-changes')
+          .on('postgres_changes', { event: '*', schema: 'public', table: 'entries' }, forward(false))
+          .on('postgres_changes', { event: '*', schema: 'public', table: 'entry_results' }, forward(true))
+          .subscribe((status) => {
+            if (!closed) onStatus(status === 'SUBSCRIBED' ? 'live' : 'down');
+          });
+        return () => {
+          closed = true;
+          client.removeChannel(channel);
+        };
+      },
+      upsert: (rows) =>
+        client.from('entries').upsert(Array.isArray(rows) ? rows.map(markSeconds) : markSeconds(rows), ON_ENTRY),
+      update: (key, patch) =>
+        client
+          .from('entries')
+          .update('value' in patch ? markSeconds(patch) : patch)
+          .eq('user_id', key.user_id)
+          .eq('date', key.date),
+      remove: (key) => client.from('entries').delete().eq('user_id', key.user_id).eq('date', key.date),
+    },
+
+    profiles: {
+      get: (id) => client.from('profiles').select(PROFILE_COLUMNS).eq('id', id).maybeSingle(),
+      save: (profile) => client.from('profiles').upsert(profile),
+      directory: () => client.from('athlete_directory').select(DIRECTORY_COLUMNS),
+    },
+
+    leaderboard: {
+      // Best entry per athlete (see the leaderboard_best function)
+      best: ({ movement, from = null, to = null, direction = 'higher', unit = null, target = null }) =>
+        client.rpc('leaderboard_best', {
+          p_movement: movement,
+          p_from: from,
+          p_to: to,
+          p_direction: direction,
+          p_unit: unit,
+          p_target_min: target?.min ?? null,
+          p_target_max: target?.max ?? null,
+        }),
+      // Best load ÷ bodyweight per athlete, worked out server-side (see leaderboard_relative)
+      relative: ({ movement, from = null, to = null }) =>
+        client.rpc('leaderboard_relative', { p_movement: movement, p_from: from, p_to: to }),
+    },
+
+    cycles: {
+      list: () => client.from('cycles').select('*').order('start_date', { ascending: true }),
+      save: (row) => client.from('cycles').upsert(row).select().single(),
+      remove: (id) => client.from('cycles').delete().eq('id', id),
+    },
+
+    // Reminder subscriptions; the send-reminders edge function does the sending
+    push: {
+      save: ({ subscription, time, timeZone, locale }) =>
+        client.from('push_subscriptions').upsert(
+          { endpoint: subscription.endpoint, keys: subscription.keys, reminder_time: time, time_zone: timeZone, locale },
+          { onConflict: 'endpoint' },
+        ),
+      remove: (endpoint) => client.from('push_subscriptions').delete().eq('endpoint', endpoint),
+    },
+
+    audit: {
+      list({ userId = null, limit = 100 } = {}) {
+        let query = client.from('entry_audit').select('*').order('changed_at', { ascending: false }).limit(limit);
+        if (userId) query = query.eq('entry_user_id', userId);
+        return query;
+      },
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// src/lib/dates.js
+// Calendar dates are plain 'YYYY-MM-DD' strings (the same keys entries are stored
+// under), never instants. Arithmetic runs on UTC day numbers so DST and the
+// device timezone can't shift a day; only "today" reads the local clock.
+// Weekdays are day indexes as in Date#getDay (0 = Sunday … 6 = Saturday), never
+// names, so nothing keyed by them depends on the UI language (see lib/i18n).
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local Date (e.g. a calendar cell or `new Date()`) → its calendar day on this device
+export const isoLocal = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+// Accepts either form so lookups can take a calendar cell or a stored key
+export const toISODate = (d) => (typeof d === 'string' ? d.slice(0, 10) : isoLocal(d));
+
+export const todayISO = () => isoLocal(new Date());
+
+// Calendar day from parts (month is 0-based like Date); no timezone involved
+export const isoDate = (year, monthIndex, day) => `${year}-${pad(monthIndex + 1)}-${pad(day)}`;
+
+const toDayNumber = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000;
+};
+const fromDayNumber = (n) => {
+  const d = new Date(n * 86400000);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}`;
+};
+
+export const isISODate = (text) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(text || '') && fromDayNumber(toDayNumber(text)) === text;
+
+export const addDaysISO = (iso, n) => fromDayNumber(toDayNumber(iso) + n);
+
+// Whole calendar days from one 'YYYY-MM-DD' to another
+export const daysBetween = (fromIso, toIso) => toDayNumber(toIso) - toDayNumber(fromIso);
+
+export const weekdayIndex = (d) => (((toDayNumber(toISODate(d)) + 4) % 7) + 7) % 7; // 1970-01-01 was a Thursday
+
+// Monday of the program week containing the date
+export const startOfWeekISO = (d) => {
+  const iso = toISODate(d);
+  return addDaysISO(iso, -((weekdayIndex(iso) + 6) % 7));
+};
+
+// Inclusive; all three are 'YYYY-MM-DD' so string order is date order
+export const isWithinISO = (dateISO, start, end) => dateISO >= start && dateISO <= end;
+
+// 'YYYY-MM-DD' → local midnight, only for handing to date pickers and labels (lib/i18n)
+export const fromISO = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { weekdayIndex, startOfWeekISO, addDaysISO, isISODate } from './dates';
+
+describe('weekdayIndex', () => {
+  it('numbers days like Date#getDay (0 = Sunday)', () => {
+    expect(weekdayIndex('1970-01-01')).toBe(4);
+    expect(weekdayIndex('2026-03-01')).toBe(0);
+    expect(weekdayIndex('2026-03-02')).toBe(1);
+    expect(weekdayIndex('2026-03-07')).toBe(6);
+  });
+
+  it('handles dates before 1970', () => {
+    expect(weekdayIndex('1969-12-31')).toBe(3);
+  });
+
+  it('takes a local Date as well as a key', () => {
+    expect(weekdayIndex(new Date(2026, 2, 2))).toBe(1);
+  });
+});
+
+describe('startOfWeekISO', () => {
+  it('returns the Monday of the program week', () => {
+    expect(startOfWeekISO('2026-03-02')).toBe('2026-03-02');
+    expect(startOfWeekISO('2026-03-05')).toBe('2026-03-02');
+    expect(startOfWeekISO('2026-03-08')).toBe('2026-03-02'); // Sunday ends the week
+  });
+
+  it('crosses month and year boundaries', () => {
+    expect(startOfWeekISO('2026-01-01')).toBe('2025-12-29');
+  });
+
+  it('is not shifted by daylight saving changes', () => {
+    expect(startOfWeekISO('2026-03-09')).toBe('2026-03-09');
+    expect(addDaysISO('2026-03-07', 2)).toBe('2026-03-09');
+  });
+});
+
+describe('isISODate', () => {
+  it('accepts only real calendar days', () => {
+    expect(isISODate('2028-02-29')).toBe(true);
+    expect(isISODate('2026-02-29')).toBe(false);
+    expect(isISODate('2026-3-2')).toBe(false);
+  });
+});
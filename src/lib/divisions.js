@@ -0,0 +1,48 @@
+// src/lib/divisions.js
+// Leaderboard groupings derived from the profile: division, age group and
+// bodyweight class. Bodyweight is compared in kg whatever unit it was entered in.
+// Other members' birth year and bodyweight never reach the app, only the groups.
+import { convertValue } from './units';
+
+// profiles.gender holds the division; 'open' means "Open only"
+export const DIVISION_OPTIONS = [
+  { value: 'male', label: 'Men' },
+  { value: 'female', label: 'Women' },
+  { value: 'nonbinary', label: 'Non-binary' },
+  { value: 'open', label: 'Open only' },
+];
+export const DIVISIONS = DIVISION_OPTIONS.filter((d) => d.value !== 'open');
+
+// Age in the calendar year (masters convention), so a group doesn't change mid-season
+export const ageFor = (birthYear, today = new Date()) =>
+  birthYear ? today.getFullYear() - Number(birthYear) : null;
+
+export const AGE_GROUPS = [
+  { key: 'u40', label: 'Under 40', min: 0, max: 39 },
+  { key: '40', label: '40–49', min: 40, max: 49 },
+  { key: '50', label: '50–59', min: 50, max: 59 },
+  { key: '60', label: '60+', min: 60, max: Infinity },
+];
+export function ageGroupFor(birthYear, today = new Date()) {
+  const age = ageFor(birthYear, today);
+  return age == null ? null : AGE_GROUPS.find((g) => age >= g.min && age <= g.max) || null;
+}
+
+// Upper bounds in kg; a class is keyed by its bound ('60' … 'Infinity', as in
+// athlete_directory.weight_class) and labelled in the viewer's unit
+export const BODYWEIGHT_CLASSES_KG = [60, 70, 80, 90, 100, Infinity];
+export function bodyweightClassFor(bodyweightKg) {
+  if (!(bodyweightKg > 0)) return null;
+  return String(BODYWEIGHT_CLASSES_KG.find((max) => bodyweightKg <= max));
+}
+
+export function bodyweightClassLabel(key, unit = 'kgs') {
+  const i = BODYWEIGHT_CLASSES_KG.findIndex((max) => String(max) === key);
+  const show = (kg) => Math.round(convertValue(kg, 'kgs', unit === 'lbs' ? 'lbs' : 'kgs'));
+  const suffix = unit === 'lbs' ? 'lbs' : 'kg';
+  const lower = i > 0 ? BODYWEIGHT_CLASSES_KG[i - 1] : 0;
+  const max = BODYWEIGHT_CLASSES_KG[i];
+  return max === Infinity ? `${show(lower)}+ ${suffix}` : `≤ ${show(max)} ${suffix}`;
+}
+
+export const toKg = (value, unit) => (unit === 'lbs' ? convertValue(value, 'lbs', 'kgs') : Number(value));
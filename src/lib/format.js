@@ -0,0 +1,66 @@
+// src/lib/format.js
+// Numbers use the UI language's separators (lib/i18n); durations are always m:ss.hh
+import { formatNumber } from './i18n';
+
+export const formatNiceNumber = (val) => {
+  const n = Number(val);
+  if (!Number.isFinite(n)) return '';
+  const abs = Math.abs(n);
+  if (abs >= 10) return formatNumber(Math.round(n));
+  if (abs >= 1) return formatNumber(Number(n.toFixed(1)));
+  return formatNumber(Number(n.toFixed(2)), { maximumFractionDigits: 2 });
+};
+// Preserve actual value precision for data points: truncate, do not round
+export const formatExactValue = (val) => {
+  const n = Number(val);
+  if (!Number.isFinite(n)) return '';
+  const truncated = Math.trunc(n * 100) / 100; // keep up to 2 decimals without rounding
+  const hasDecimals = Math.abs(truncated % 1) > 0;
+  const oneDecimal = Math.abs(Math.trunc(truncated * 10) / 10 - Math.trunc(truncated)) > 0;
+  const minFrac = 0;
+  const maxFrac = hasDecimals ? (oneDecimal ? 1 : 2) : 0;
+  return formatNumber(truncated, { minimumFractionDigits: minFrac, maximumFractionDigits: maxFrac });
+};
+
+/* ========== Durations (unit: 'time') ========== */
+// Accepts m:ss, m:ss.hh or h:mm:ss(.hh); returns seconds, or NaN when malformed
+export function parseDuration(raw) {
+  const text = String(raw ?? '').trim();
+  const match = /^(?:(\d+):)?(\d+):(\d{1,2})(?:\.(\d{1,2}))?$/.exec(text);
+  if (!match) return NaN;
+  const [, h, m, s, frac] = match;
+  const secs = Number(s);
+  if (secs >= 60 || (h && Number(m) >= 60)) return NaN;
+  const hundredths = frac ? Number(frac.padEnd(2, '0')) / 100 : 0;
+  return Number(h || 0) * 3600 + Number(m) * 60 + secs + hundredths;
+}
+
+// Seconds → m:ss (or h:mm:ss); hundredths are shown only when present and `precise`
+export function formatDuration(seconds, { precise = true } = {}) {
+  const n = Number(seconds);
+  if (!Number.isFinite(n) || n < 0) return '';
+  const total = precise ? Math.round(n * 100) : Math.round(n) * 100;
+  const h = Math.floor(total / 360000);
+  const m = Math.floor((total % 360000) / 6000);
+  const s = Math.floor((total % 6000) / 100);
+  const hh = total % 100;
+  const ss = String(s).padStart(2, '0');
+  const frac = hh ? `.${String(hh).padStart(2, '0')}` : '';
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}${frac}` : `${m}:${ss}${frac}`;
+}
+
+// Single entry point for showing a stored value next to its unit
+export const formatValue = (val, unit) =>
+  unit === 'time' ? formatDuration(val) : formatExactValue(val);
+
+// Signed difference between two values of the same unit (e.g. +5, -0:03.20)
+export function formatDelta(diff, unit) {
+  const n = Number(diff);
+  if (!Number.isFinite(n)) return '';
+  const sign = n > 0 ? '+' : n < 0 ? '-' : '±';
+  return `${sign}${formatValue(Math.abs(n), unit)}`;
+}
+
+// Axis ticks: whole seconds for time, rounded numbers otherwise
+export const formatTick = (val, unit) =>
+  unit === 'time' ? formatDuration(val, { precise: false }) : formatNiceNumber(val);
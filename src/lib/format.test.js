@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { parseDuration, formatDuration } from './format';
+
+describe('parseDuration', () => {
+  it('reads m:ss, m:ss.hh and h:mm:ss as seconds', () => {
+    expect(parseDuration('1:45')).toBe(105);
+    expect(parseDuration('1:45.3')).toBeCloseTo(105.3);
+    expect(parseDuration('1:45.30')).toBeCloseTo(105.3);
+    expect(parseDuration('0:07.05')).toBeCloseTo(7.05);
+    expect(parseDuration('1:02:03')).toBe(3723);
+  });
+
+  it('rejects malformed times', () => {
+    ['', '1.45', '105', '1:60', '1:60:00', '1:02:60', '1:45.123', 'abc'].forEach((text) =>
+      expect(parseDuration(text)).toBeNaN());
+  });
+});
+
+describe('formatDuration', () => {
+  it('shows m:ss, with hundredths only when present', () => {
+    expect(formatDuration(105)).toBe('1:45');
+    expect(formatDuration(105.3)).toBe('1:45.30');
+    expect(formatDuration(7.05)).toBe('0:07.05');
+    expect(formatDuration(3723)).toBe('1:02:03');
+  });
+
+  it('rounds to whole seconds when not precise', () => {
+    expect(formatDuration(105.6, { precise: false })).toBe('1:46');
+  });
+
+  it('returns an empty string for missing or negative values', () => {
+    expect(formatDuration(undefined)).toBe('');
+    expect(formatDuration(-1)).toBe('');
+  });
+
+  it('round-trips through parseDuration', () => {
+    ['0:59.99', '12:00', '1:00:00.50'].forEach((text) => expect(formatDuration(parseDuration(text))).toBe(text));
+  });
+});
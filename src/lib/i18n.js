@@ -0,0 +1,91 @@
+// src/lib/i18n.js
+// UI language. Strings are written in English in the code and looked up in the
+// active locale's catalog (src/locales/*.js); anything missing there shows in
+// English. Dates and numbers are formatted for the same locale.
+import { useSyncExternalStore } from 'react';
+import { fromISO } from './dates';
+import es from '../locales/es';
+
+export const LOCALES = [
+  { value: 'en', label: 'English' },
+  { value: 'es', label: 'Español' },
+];
+const CATALOGS = { en: {}, es };
+const STORAGE_KEY = 'mom3nt_locale';
+
+// Saved choice, else the first supported browser language, else English
+function detectLocale() {
+  const saved = typeof localStorage !== 'undefined' && localStorage.getItem(STORAGE_KEY);
+  if (saved && CATALOGS[saved]) return saved;
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  return preferred.map((l) => String(l || '').slice(0, 2).toLowerCase()).find((l) => CATALOGS[l]) || 'en';
+}
+
+/* ========== Store ========== */
+let locale = detectLocale();
+const listeners = new Set();
+if (typeof document !== 'undefined') document.documentElement.lang = locale;
+
+export const getLocale = () => locale;
+
+export function setLocale(next) {
+  if (!CATALOGS[next] || next === locale) return;
+  locale = next;
+  localStorage.setItem(STORAGE_KEY, next);
+  document.documentElement.lang = next;
+  listeners.forEach((fn) => fn());
+}
+
+export function subscribeLocale(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// Re-renders the caller when the language changes
+export function useLocale() {
+  return useSyncExternalStore(subscribeLocale, getLocale);
+}
+
+/* ========== Text ========== */
+// t('Week {week} of {weeks}', { week: 2, weeks: 6 })
+export function t(text, vars) {
+  const template = CATALOGS[locale][text] ?? text;
+  if (!vars) return template;
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in vars ? String(vars[key]) : match));
+}
+
+// Count-dependent text: tn(3, '{n} entry', '{n} entries'). Each form is its own catalog key.
+export function tn(n, one, other, vars = {}) {
+  const form = new Intl.PluralRules(locale).select(n) === 'one' ? one : other;
+  return t(form, { n: formatNumber(n), ...vars });
+}
+
+/* ========== Dates & numbers ========== */
+const formatters = new Map();
+function formatter(Kind, options) {
+  const key = `${Kind.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Kind(locale, options));
+  return formatters.get(key);
+}
+
+export const formatNumber = (n, options = {}) => formatter(Intl.NumberFormat, options).format(n);
+
+// 'YYYY-MM-DD' → e.g. "Mar 4, 2026" / "4 mar 2026"
+export const formatDate = (iso, options = { day: 'numeric', month: 'short', year: 'numeric' }) =>
+  formatter(Intl.DateTimeFormat, options).format(fromISO(iso));
+
+// Start → end of a cycle or window, for labels
+export const formatRange = ({ start, end }) => `${formatDate(start)} → ${formatDate(end)}`;
+
+export const formatMonth = (d) => formatter(Intl.DateTimeFormat, { month: 'long', year: 'numeric' }).format(d);
+
+export const formatDateTime = (instant) =>
+  formatter(Intl.DateTimeFormat, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(instant));
+
+// Day index (0 = Sunday, see lib/dates) → name in the UI language, capitalised for labels.
+// 2023-01-01 was a Sunday; UTC so the device timezone can't shift it.
+export function weekdayName(index, width = 'long') {
+  const name = formatter(Intl.DateTimeFormat, { weekday: width, timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2023, 0, 1 + Number(index))));
+  return name.charAt(0).toLocaleUpperCase(locale) + name.slice(1);
+}
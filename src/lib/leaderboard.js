@@ -0,0 +1,187 @@
+// src/lib/leaderboard.js
+import { toISODate, todayISO, addDaysISO, startOfWeekISO, isWithinISO } from './dates';
+import { getCycles, getCycleBounds, LEGACY_MOVEMENTS, WEEKDAY_ORDER } from './programs';
+import { compareValues, isBetter } from './scoring';
+import { isWeightUnit, convertValue } from './units';
+import { DIVISIONS, AGE_GROUPS, BODYWEIGHT_CLASSES_KG, bodyweightClassLabel, toKg } from './divisions';
+
+export const LEADERBOARD_WINDOWS = [
+  { value: 'week', label: 'This week' },
+  { value: 'cycle', label: 'This cycle' },
+  { value: 'past', label: 'Past cycle' },
+  { value: 'all', label: 'All-time' },
+];
+
+// 'YYYY-MM-DD' range for a window, or null for all-time. Program weeks run Monday → Sunday.
+export function windowRange(window, { cycles = getCycles(), cycleId, today = todayISO() } = {}) {
+  const day = toISODate(today);
+  if (window === 'week') {
+    const start = startOfWeekISO(day);
+    return { start, end: addDaysISO(start, 6) };
+  }
+  if (window === 'cycle') {
+    const cycle = cycles.find((c) => {
+      const { start, end } = getCycleBounds(c);
+      return isWithinISO(day, start, end);
+    }) || cycles[cycles.length - 1];
+    return cycle ? getCycleBounds(cycle) : null;
+  }
+  if (window === 'past') {
+    const cycle = cycles.find((c) => c.id === cycleId);
+    return cycle ? getCycleBounds(cycle) : null;
+  }
+  return null;
+}
+
+export const inRange = (entry, range) => !range || isWithinISO(entry.date, range.start, range.end);
+
+// Every movement ever programmed (legacy included), most recent cycle first
+export function allMovements(cycles = getCycles()) {
+  const byName = new Map();
+  const add = (m, cycleName) => {
+    if (!m?.name || m.name === 'TBD') return;
+    const prev = byName.get(m.name);
+    if (prev) prev.cycles.push(cycleName);
+    else byName.set(m.name, { ...m, cycles: [cycleName] });
+  };
+  [...cycles].reverse().forEach((c) => {
+    WEEKDAY_ORDER.forEach((wd) => add(c.weekTemplate[wd], c.name));
+  });
+  Object.values(LEGACY_MOVEMENTS).forEach((m) => !byName.has(m.name) && add(m, 'Legacy'));
+  return Array.from(byName.values());
+}
+
+// Best result per athlete, ranked. Equal scores share a rank (1, 2, 2, 4) and
+// are listed by who got there first.
+export function rankAthletes(rows, movement, keyOf) {
+  const best = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    const prev = best.get(key);
+    if (!prev || isBetter(r.value, prev.value, movement)) best.set(key, r);
+  }
+  const sorted = Array.from(best.entries())
+    .map(([key, row]) => ({ key, row }))
+    .sort((a, b) => compareValues(a.row.value, b.row.value, movement) || a.row.date.localeCompare(b.row.date));
+
+  return sorted.map((item, i) => {
+    let rank = i + 1;
+    while (rank > 1 && compareValues(sorted[rank - 2].row.value, item.row.value, movement) === 0) rank--;
+    const tiedNext = i + 1 < sorted.length && compareValues(sorted[i + 1].row.value, item.row.value, movement) === 0;
+    const tiedPrev = rank !== i + 1;
+    return { ...item, rank, tied: tiedNext || tiedPrev };
+  });
+}
+
+// Folds one realtime change ({ type, row, old }) into best-per-athlete rows for
+// { movement, range, unit, scoring }. Returns null when that athlete's best may
+// have got worse (their best row was edited down, moved or deleted), since only
+// a fresh query can say what replaces it.
+export function applyBestChange(rows, change, { movement, range, unit, scoring }) {
+  const { row, old } = change;
+  const userId = (row || old).user_id;
+  const current = rows.find((r) => r.user_id === userId);
+  const counts = (r) => r && r.movement === movement && inRange(r, range);
+  const valueOf = (r) => (unit ? convertValue(r.value, r.unit, unit) : Number(r.value));
+  const beats = (a, b) => {
+    const cmp = compareValues(valueOf(a), valueOf(b), scoring);
+    return cmp < 0 || (cmp === 0 && a.date <= b.date);
+  };
+
+  const touchesBest = current && [row, old].some((r) => r && r.date === current.date);
+  if (touchesBest && (!counts(row) || !beats(row, current))) return null;
+  if (!counts(row)) return rows;
+  if (current && !touchesBest && !beats(row, current)) return rows;
+  return [...rows.filter((r) => r.user_id !== userId), row];
+}
+
+/* ========== Athletes ========== */
+// athlete_directory rows → Map of user_id → { name, gender, ageGroup, weightClass, optOut }
+export const directoryFromRows = (rows) =>
+  new Map((rows || []).map((p) => [p.id, {
+    name: p.display_name || '',
+    gender: p.gender || '',
+    ageGroup: p.age_group || null,
+    weightClass: p.weight_class || null,
+    optOut: !!p.leaderboard_opt_out,
+  }]));
+
+// Identity comes from the directory only: leaderboard rows carry no name or gender
+export function athleteFor(entry, directory) {
+  const p = directory.get(entry.user_id);
+  return {
+    name: p?.name || 'Member',
+    gender: p?.gender || '',
+    ageGroup: p?.ageGroup || null,
+    weightClass: p?.weightClass || null,
+    optOut: !!p?.optOut,
+  };
+}
+
+// Members whose entries carry more than one typed name (renames, typos, shared devices).
+// Takes per-name summaries ({ user_id, name, count, first, last }, see
+// repo.entries.nameVariants); names are listed most-used first.
+export function nameInconsistencies(variants, directory) {
+  const byUser = new Map();
+  for (const v of variants) {
+    byUser.set(v.user_id, [...(byUser.get(v.user_id) || []), { name: v.name, count: v.count, first: v.first, last: v.last }]);
+  }
+  return Array.from(byUser.entries())
+    .filter(([, names]) => names.length > 1)
+    .map(([userId, names]) => ({
+      userId,
+      current: directory.get(userId)?.name || '',
+      names: names.sort((a, b) => b.count - a.count),
+    }));
+}
+
+/* ========== Views ========== */
+export const LEADERBOARD_VIEWS = [
+  { value: 'division', label: 'Division' },
+  { value: 'age', label: 'Age group' },
+  { value: 'bodyweight', label: 'Bodyweight class' },
+  { value: 'relative', label: 'Relative strength' },
+];
+
+// Relative strength only means something for loads
+export const supportsRelative = (movement) => isWeightUnit(movement?.unit);
+
+// An entry scored as load ÷ bodyweight, both in kg (unit 'ratio'), like the rows
+// repo.leaderboard.relative returns; null without a bodyweight or a load
+export function relativeRow(entry, bodyweightKg) {
+  if (!(bodyweightKg > 0) || !isWeightUnit(entry.unit)) return null;
+  return { ...entry, value: toKg(entry.value, entry.unit) / bodyweightKg, unit: 'ratio' };
+}
+
+// Rows (with `athlete` resolved) → [{ key, label, rows }] for the chosen view.
+// Division view lists each division plus Open (everyone); the other views can be
+// narrowed to one division. Athletes missing the profile field a view needs are left out.
+// Relative view rows are already ratios (see relativeRow).
+export function groupRows(rows, view, { division = '', unit = 'kgs' } = {}) {
+  if (view === 'division') {
+    const groups = DIVISIONS
+      .map((d) => ({ key: d.value, label: d.label, rows: rows.filter((r) => r.athlete.gender === d.value) }))
+      .filter((g) => g.rows.length || g.key === 'male' || g.key === 'female');
+    return [...groups, { key: 'open', label: 'Open', rows }];
+  }
+
+  const pool = division ? rows.filter((r) => r.athlete.gender === division) : rows;
+  if (view === 'age') {
+    return AGE_GROUPS
+      .map((g) => ({ key: g.key, label: g.label, rows: pool.filter((r) => r.athlete.ageGroup === g.key) }))
+      .filter((g) => g.rows.length);
+  }
+  if (view === 'bodyweight') {
+    return BODYWEIGHT_CLASSES_KG
+      .map((max) => ({
+        key: String(max),
+        label: bodyweightClassLabel(String(max), unit),
+        rows: pool.filter((r) => r.athlete.weightClass === String(max)),
+      }))
+      .filter((g) => g.rows.length);
+  }
+  if (view === 'relative') {
+    return [{ key: 'relative', label: 'Load ÷ bodyweight', rows: pool.filter((r) => r.unit === 'ratio') }];
+  }
+  return [];
+}
@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { rankAthletes, applyBestChange } from './leaderboard';
+
+const row = (user_id, value, date = '2026-03-02', extra = {}) =>
+  ({ user_id, value, date, movement: 'Squat', unit: 'lbs', ...extra });
+const ranks = (ranked) => ranked.map((r) => [r.key, r.rank, r.tied]);
+
+describe('rankAthletes', () => {
+  const higher = { direction: 'higher' };
+  const byUser = (r) => r.user_id;
+
+  it('keeps each athlete\'s best and ranks higher first', () => {
+    const rows = [row('a', 100), row('a', 120, '2026-03-09'), row('b', 110)];
+    const ranked = rankAthletes(rows, higher, byUser);
+    expect(ranks(ranked)).toEqual([['a', 1, false], ['b', 2, false]]);
+    expect(ranked[0].row.value).toBe(120);
+  });
+
+  it('shares a rank on ties and lists whoever got there first', () => {
+    const rows = [row('a', 120), row('b', 110, '2026-03-03'), row('c', 110, '2026-03-02'), row('d', 100)];
+    expect(ranks(rankAthletes(rows, higher, byUser))).toEqual([
+      ['a', 1, false], ['c', 2, true], ['b', 2, true], ['d', 4, false],
+    ]);
+  });
+
+  it('ranks lower-is-better movements from the smallest value', () => {
+    const rows = [row('a', 95), row('b', 90), row('c', 95)];
+    expect(ranks(rankAthletes(rows, { direction: 'lower' }, byUser))).toEqual([
+      ['b', 1, false], ['a', 2, true], ['c', 2, true],
+    ]);
+  });
+
+  it('ties everyone inside a target band', () => {
+    const rows = [row('a', 48), row('b', 50), row('c', 60)];
+    const ranked = rankAthletes(rows, { direction: 'target', target: { min: 45, max: 55 } }, byUser);
+    expect(ranks(ranked)).toEqual([['a', 1, true], ['b', 1, true], ['c', 3, false]]);
+  });
+});
+
+describe('applyBestChange', () => {
+  const query = { movement: 'Squat', range: { start: '2026-03-01', end: '2026-03-31' }, unit: 'lbs', scoring: { direction: 'higher' } };
+  const best = [row('a', 100), row('b', 90)];
+
+  it('adds a new athlete', () => {
+    const next = applyBestChange(best, { type: 'insert', row: row('c', 80) }, query);
+    expect(next.map((r) => r.user_id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('replaces a best that was beaten, converting units first', () => {
+    const next = applyBestChange(best, { type: 'insert', row: row('b', 50, '2026-03-03', { unit: 'kgs' }) }, query);
+    expect(next.find((r) => r.user_id === 'b').unit).toBe('kgs');
+  });
+
+  it('ignores results that are worse, outside the range or for another movement', () => {
+    expect(applyBestChange(best, { type: 'insert', row: row('a', 90, '2026-03-03') }, query)).toBe(best);
+    expect(applyBestChange(best, { type: 'insert', row: row('a', 200, '2026-04-01') }, query)).toBe(best);
+    expect(applyBestChange(best, { type: 'insert', row: row('a', 200, '2026-03-03', { movement: 'Row' }) }, query)).toBe(best);
+  });
+
+  it('keeps the earlier date on an equal result', () => {
+    expect(applyBestChange(best, { type: 'insert', row: row('a', 100, '2026-03-05') }, query)).toBe(best);
+  });
+
+  it('applies an edit that improves the best row itself', () => {
+    const next = applyBestChange(best, { type: 'update', row: row('a', 105), old: row('a', 100) }, query);
+    expect(next.find((r) => r.user_id === 'a').value).toBe(105);
+  });
+
+  it('asks for a fresh query when the best row got worse, moved or was deleted', () => {
+    expect(applyBestChange(best, { type: 'update', row: row('a', 95), old: row('a', 100) }, query)).toBeNull();
+    expect(applyBestChange(best, { type: 'update', row: row('a', 100, '2026-04-02'), old: row('a', 100) }, query)).toBeNull();
+    expect(applyBestChange(best, { type: 'delete', row: null, old: row('a', 100) }, query)).toBeNull();
+  });
+
+  it('ignores deleting a row that wasn\'t the best', () => {
+    expect(applyBestChange(best, { type: 'delete', row: null, old: row('a', 80, '2026-03-09') }, query)).toBe(best);
+  });
+});
@@ -0,0 +1,86 @@
+// src/lib/notes.js
+// Structured session details saved next to the free-text note:
+//   rpe       effort 1–10: the hardest attempt's RPE (see attempts.js), null when not given
+//   pain      true when the member flagged pain or an injury
+//   settings  equipment setup, e.g. { 'Keiser resistance': '12', 'Seat height': '4' };
+//             carried forward per movement like the note
+//   tags      lowercase labels, e.g. ['deload', 'new shoes']; charts annotate tagged days
+
+// Form state for the calendar: strings while editing, settings as editable rows
+export const emptyDetails = () => ({ pain: false, tags: '', settings: [{ key: '', value: '' }] });
+
+export function settingsRows(settings) {
+  const rows = Object.entries(settings || {}).map(([key, value]) => ({ key, value: String(value) }));
+  return rows.length ? rows : [{ key: '', value: '' }];
+}
+
+export const detailsForm = (entry) => ({
+  pain: !!entry?.pain,
+  tags: (entry?.tags || []).join(', '),
+  settings: settingsRows(entry?.settings),
+});
+
+// Comma-separated, '#' optional: "Deload, #new shoes" → ['deload', 'new shoes']
+export function parseTags(text) {
+  const tags = (text || '')
+    .split(',')
+    .map((tag) => tag.trim().replace(/^#/, '').trim().toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+// Form → columns (rpe comes from the attempts)
+export function detailsFromForm(form) {
+  const settings = Object.fromEntries(
+    form.settings.filter((s) => s.key.trim() && s.value.trim()).map((s) => [s.key.trim(), s.value.trim()]),
+  );
+  return {
+    pain: !!form.pain,
+    settings: Object.keys(settings).length ? settings : null,
+    tags: parseTags(form.tags),
+  };
+}
+
+export const hasDetails = (e) =>
+  !!((e.notes || '').trim() || e.rpe || e.pain || e.tags?.length || Object.keys(e.settings || {}).length);
+
+export const formatSettings = (settings) =>
+  Object.entries(settings || {}).map(([k, v]) => `${k}: ${v}`).join(' • ');
+
+// Reverse of formatSettings: "Seat height: 4 • Keiser resistance: 12" → object,
+// {} for blank text, null when a part isn't "key: value"
+export function parseSettings(text) {
+  const settings = {};
+  for (const part of (text || '').split('•').map((p) => p.trim()).filter(Boolean)) {
+    const i = part.indexOf(':');
+    const key = part.slice(0, i).trim();
+    const value = part.slice(i + 1).trim();
+    if (i < 0 || !key || !value) return null;
+    settings[key] = value;
+  }
+  return settings;
+}
+
+// [{ tag, count }], most used first
+export function tagCounts(entries) {
+  const counts = new Map();
+  entries.forEach((e) => (e.tags || []).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Entries with a note or any detail, newest first. `text` matches the note,
+// movement, tags and settings (case-insensitive); the rest narrow exactly.
+export function searchNotes(entries, { text = '', tag = '', movement = '', painOnly = false } = {}) {
+  const needle = text.trim().toLowerCase();
+  return entries
+    .filter(hasDetails)
+    .filter((e) => !tag || (e.tags || []).includes(tag))
+    .filter((e) => !movement || e.movement === movement)
+    .filter((e) => !painOnly || e.pain)
+    .filter((e) => {
+      if (!needle) return true;
+      const haystack = [e.notes, e.movement, ...(e.tags || []), formatSettings(e.settings)].join(' ').toLowerCase();
+      return haystack.includes(needle);
+    })
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
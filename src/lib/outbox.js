@@ -0,0 +1,79 @@
+// src/lib/outbox.js
+// Persistent queue of entry saves made while offline (IndexedDB).
+// Rows are keyed by user_id|date so a second offline save for the same day
+// replaces the first — the same semantics as the (user_id,date) upsert.
+const DB_NAME = 'mom3nt';
+const STORE = 'outbox';
+
+let dbPromise = null;
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(STORE, { keyPath: 'key' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export const outboxKey = (row) => `${row.user_id}|${row.date}`;
+
+export function queueEntry(row) {
+  return run('readwrite', (store) => store.put({ key: outboxKey(row), row, queuedAt: Date.now() }));
+}
+
+export async function listQueued() {
+  const items = await run('readonly', (store) => store.getAll());
+  return (items || []).sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+export function removeQueued(key) {
+  return run('readwrite', (store) => store.delete(key));
+}
+
+// Browsers report offline fetches as TypeErrors ("Failed to fetch", "Load failed", …)
+export function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true;
+  const msg = String(error?.message || error || '');
+  return /failed to fetch|network|load failed|fetch failed/i.test(msg);
+}
+
+// Replay queued saves in order; stops at the first network failure so nothing is lost.
+// `send(row)` must resolve to { error }. Resolves to { synced: [key], rejected: [{ row, error }] }.
+let flushing = null;
+export function flushOutbox(send) {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    const synced = [];
+    const rejected = [];
+    try {
+      for (const item of await listQueued()) {
+        const { error } = await send(item.row);
+        if (error) {
+          if (isNetworkError(error)) break;
+          // Rejected by the server (e.g. validation): drop it rather than retry forever
+          rejected.push({ row: item.row, error });
+        }
+        await removeQueued(item.key);
+        if (!error) synced.push(item.key);
+      }
+    } finally {
+      flushing = null;
+    }
+    return { synced, rejected };
+  })();
+  return flushing;
+}
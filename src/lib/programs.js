@@ -0,0 +1,214 @@
+// src/lib/programs.js
+// Training cycles as data. Built-in cycles are the historical blocks that used to
+// live in App.jsx; coach-created cycles come from the `cycles` table and override a
+// built-in one when they share an id.
+import { useSyncExternalStore } from 'react';
+import { repo } from './data';
+import { toISODate, todayISO, addDaysISO, weekdayIndex, isWithinISO } from './dates';
+import { LEGACY_MOVEMENTS, BUILT_IN_CYCLES } from '../../supabase/functions/_shared/builtInCycles.js';
+
+// Week templates are keyed by day index (0 = Sunday, see lib/dates); program weeks run Monday → Sunday
+export const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+export const MOVEMENT_UNITS = ['lbs', 'kgs', 'watts', 'mph', 'miles', 'time', 'rounds'];
+export const TBD_MOVEMENT = { key: 'tbd', name: 'TBD', unit: '', direction: 'higher' };
+// Optional on weight movements: `reps` (the rep max being tested) and `lift` (a family
+// name such as 'RDL' that ties variations from different blocks together for e1RM).
+
+/* ========== Built-in cycles ========== */
+// Kept in supabase/functions/_shared so send-reminders reads the same program
+export { LEGACY_MOVEMENTS };
+
+/* ========== Normalisation ========== */
+// Templates saved before day indexes were keyed by English weekday names
+const LEGACY_DAY_KEYS = { Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5, Saturday: 6 };
+const normalizeTemplate = (template) =>
+  Object.fromEntries(Object.entries(template || {}).map(([day, m]) => [LEGACY_DAY_KEYS[day] ?? Number(day), m]));
+
+function normalizeCycle(c, builtIn) {
+  return {
+    id: c.id,
+    name: c.name || '',
+    start: toISODate(c.start),
+    weeks: c.weeks ?? null,
+    endOverride: c.endOverride ? toISODate(c.endOverride) : null,
+    weekTemplate: normalizeTemplate(c.weekTemplate),
+    builtIn,
+  };
+}
+
+function fromRow(row) {
+  return normalizeCycle({
+    id: row.id,
+    name: row.name,
+    start: row.start_date,
+    weeks: row.weeks,
+    endOverride: row.end_date,
+    weekTemplate: row.week_template,
+  }, false);
+}
+
+function toRow(cycle) {
+  return {
+    id: cycle.id,
+    name: (cycle.name || '').trim() || null,
+    start_date: cycle.start,
+    weeks: cycle.endOverride ? null : cycle.weeks,
+    end_date: cycle.endOverride || null,
+    week_template: cycle.weekTemplate,
+  };
+}
+
+const byStart = (a, b) => a.start.localeCompare(b.start);
+
+/* ========== Store ========== */
+const builtIns = BUILT_IN_CYCLES.map((c) => normalizeCycle(c, true));
+let CYCLES = [...builtIns];
+const listeners = new Set();
+
+function setCycles(next) {
+  CYCLES = next;
+  listeners.forEach((fn) => fn());
+}
+
+export const getCycles = () => CYCLES;
+
+export function subscribeCycles(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// Re-renders the caller whenever the program store changes
+export function useCycles() {
+  return useSyncExternalStore(subscribeCycles, getCycles);
+}
+
+function mergeWithBuiltIns(saved) {
+  const savedIds = new Set(saved.map((c) => c.id));
+  return [...builtIns.filter((c) => !savedIds.has(c.id)), ...saved].sort(byStart);
+}
+
+export async function loadCycles() {
+  const { data, error } = await repo.cycles.list();
+  if (error) {
+    // Table missing or unreachable: keep running on the built-in cycles
+    console.error('loadCycles error:', error);
+    return CYCLES;
+  }
+  setCycles(mergeWithBuiltIns((data || []).map(fromRow)));
+  return CYCLES;
+}
+
+export async function saveCycle(cycle) {
+  const { data, error } = await repo.cycles.save(toRow(cycle));
+  if (error) return { error };
+  const saved = fromRow(data);
+  setCycles([...CYCLES.filter((c) => c.id !== saved.id), saved].sort(byStart));
+  return { cycle: saved };
+}
+
+export async function deleteCycle(id) {
+  const { error } = await repo.cycles.remove(id);
+  if (error) return { error };
+  // A deleted override falls back to the built-in cycle it replaced
+  const builtIn = builtIns.find((c) => c.id === id);
+  const rest = CYCLES.filter((c) => c.id !== id);
+  setCycles((builtIn ? [...rest, builtIn] : rest).sort(byStart));
+  return {};
+}
+
+/* ========== Lookups ========== */
+// Inclusive 'YYYY-MM-DD' bounds
+export function getCycleBounds(cycle) {
+  const { start } = cycle;
+  if (cycle.endOverride) return { start, end: cycle.endOverride };
+  return { start, end: addDaysISO(start, (cycle.weeks ?? 0) * 7 - 1) };
+}
+
+// Lookups take a local Date or a 'YYYY-MM-DD' key
+export function getCycleForDate(d) {
+  const i = getCurrentCycleIndex(d);
+  return i >= 0 ? CYCLES[i] : null;
+}
+
+export function getCurrentCycleIndex(date = todayISO()) {
+  const day = toISODate(date);
+  return CYCLES.findIndex((c) => {
+    const { start, end } = getCycleBounds(c);
+    return isWithinISO(day, start, end);
+  });
+}
+
+export function movementsFromTemplate(weekTemplate) {
+  return WEEKDAY_ORDER.map(weekday => {
+    const mov = weekTemplate[weekday];
+    return mov ? { weekday, ...mov } : null;
+  }).filter(Boolean);
+}
+
+export function movementForDate(d) {
+  const cycle = getCycleForDate(d);
+  if (cycle) {
+    const mov = cycle.weekTemplate[weekdayIndex(d)];
+    if (mov) return mov;
+  }
+  return TBD_MOVEMENT;
+}
+
+// Lookup a movement definition (unit, direction, …) by name; latest cycle wins
+export function getMovementByName(movementName) {
+  if (!movementName) return null;
+  for (let i = CYCLES.length - 1; i >= 0; i--) {
+    for (const [, m] of Object.entries(CYCLES[i].weekTemplate)) {
+      if (m?.name === movementName) return m;
+    }
+  }
+  for (const [, m] of Object.entries(LEGACY_MOVEMENTS)) {
+    if (m?.name === movementName) return m;
+  }
+  return null;
+}
+
+/* ========== Editor helpers ========== */
+// First day after the last scheduled cycle (where the next block should start)
+export function nextCycleStart() {
+  if (!CYCLES.length) return todayISO();
+  const last = CYCLES.reduce((acc, c) => {
+    const { end } = getCycleBounds(c);
+    return end > acc ? end : acc;
+  }, getCycleBounds(CYCLES[0]).end);
+  return addDaysISO(last, 1);
+}
+
+// Other cycles whose date range intersects the given one
+export function findOverlaps(cycle) {
+  const { start, end } = getCycleBounds(cycle);
+  return CYCLES.filter((c) => {
+    if (c.id === cycle.id) return false;
+    const b = getCycleBounds(c);
+    return start <= b.end && end >= b.start;
+  });
+}
+
+export function newCycleId(start) {
+  return `cycle-${start}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function cloneCycle(cycle, start = nextCycleStart()) {
+  const weekTemplate = {};
+  for (const [weekday, m] of Object.entries(cycle.weekTemplate)) {
+    if (m) weekTemplate[weekday] = { ...m };
+  }
+  return {
+    id: newCycleId(start),
+    name: cycle.name ? `${cycle.name} (copy)` : '',
+    start,
+    weeks: cycle.weeks ?? 6,
+    endOverride: null,
+    weekTemplate,
+    builtIn: false,
+  };
+}
+
+export function blankCycle(start = nextCycleStart()) {
+  return { id: newCycleId(start), name: '', start, weeks: 6, endOverride: null, weekTemplate: {}, builtIn: false };
+}
@@ -0,0 +1,75 @@
+// src/lib/push.js
+// Opt-in training-day reminders. In the browser: notification permission, the push
+// subscription and its push_subscriptions row. With the local backend,
+// createLocalPushServer stands in for the send-reminders edge function and hands
+// payloads to the service worker as if they had arrived by push.
+import { dueReminderDate, reminderPayload } from '../../supabase/functions/_shared/reminders.js';
+import { t } from './i18n';
+
+const env = (import.meta && import.meta.env) || {};
+const LOCAL_ENDPOINT = 'local'; // the local backend's only "device"
+
+export const pushSupported = () =>
+  typeof navigator !== 'undefined' && 'serviceWorker' in navigator && typeof Notification !== 'undefined';
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes
+function keyBytes(base64) {
+  const padded = (base64 + '='.repeat((4 - (base64.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), (c) => c.charCodeAt(0));
+}
+
+// Asks for permission, subscribes this browser and saves the row. `locale` is the
+// language the reminders are written in. Resolves to { endpoint, error }.
+export async function enableReminders(repo, { time, timeZone, locale }) {
+  if (!pushSupported()) return { endpoint: null, error: new Error(t('This browser does not support notifications.')) };
+  if ((await Notification.requestPermission()) !== 'granted') {
+    return { endpoint: null, error: new Error(t('Notifications are blocked for this site. Allow them in your browser settings.')) };
+  }
+  let subscription = { endpoint: LOCAL_ENDPOINT, keys: {} };
+  if (repo.kind !== 'local') {
+    if (!env.VITE_VAPID_PUBLIC_KEY) return { endpoint: null, error: new Error(t('Reminders are not configured (VITE_VAPID_PUBLIC_KEY).')) };
+    const registration = await navigator.serviceWorker.ready;
+    const sub = (await registration.pushManager.getSubscription())
+      || (await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(env.VITE_VAPID_PUBLIC_KEY) }));
+    subscription = sub.toJSON();
+  }
+  const { error } = await repo.push.save({ subscription, time, timeZone, locale });
+  return { endpoint: error ? null : subscription.endpoint, error };
+}
+
+export async function disableReminders(repo, endpoint) {
+  if (repo.kind !== 'local' && pushSupported()) {
+    const registration = await navigator.serviceWorker.ready;
+    const sub = await registration.pushManager.getSubscription();
+    if (sub) await sub.unsubscribe();
+  }
+  return endpoint ? repo.push.remove(endpoint) : { error: null };
+}
+
+// Hands a payload to the service worker, which shows it exactly like a push
+export async function deliverToServiceWorker(payload) {
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage({ type: 'show-reminder', payload });
+}
+
+// Local stand-in for the send-reminders function. `logged(date)` and
+// `movementFor(date)` come from the app; tick(now) sends whatever is due and
+// resolves to the payloads it delivered.
+export function createLocalPushServer({ repo, logged, movementFor, deliver = deliverToServiceWorker }) {
+  return {
+    async tick(now = new Date()) {
+      const { data: subs } = await repo.push.list();
+      const delivered = [];
+      for (const sub of subs || []) {
+        const date = dueReminderDate({ now, time: sub.reminder_time, timeZone: sub.time_zone, lastSent: sub.last_sent_on });
+        if (!date) continue;
+        await repo.push.markSent(sub.endpoint, date);
+        const payload = reminderPayload({ date, movement: movementFor(date), logged: logged(date), locale: sub.locale });
+        if (!payload) continue;
+        await deliver(payload);
+        delivered.push(payload);
+      }
+      return delivered;
+    },
+  };
+}
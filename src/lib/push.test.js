@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { createLocalPushServer } from './push';
+import { createLocalRepo } from './data/localRepo';
+
+// 2026-03-02 is a Monday in the built-in February 2026 cycle
+const evening = new Date('2026-03-02T23:30:00Z'); // 18:30 in New York
+const nextEvening = new Date('2026-03-03T23:30:00Z');
+
+async function setup({ logged = () => false, time = '18:00', locale = 'en' } = {}) {
+  const repo = createLocalRepo({ storage: null });
+  await repo.auth.verifyCode('me@example.com', '123456');
+  await repo.push.save({ subscription: { endpoint: 'local', keys: {} }, time, timeZone: 'America/New_York', locale });
+  const delivered = [];
+  const server = createLocalPushServer({
+    repo,
+    logged,
+    movementFor: (date) => (date === '2026-03-02' ? 'Smith Pin Squats x 6 reps' : 'Keiser Bench Press'),
+    deliver: async (payload) => delivered.push(payload),
+  });
+  return { repo, server, delivered };
+}
+
+describe('createLocalPushServer', () => {
+  it('delivers a due reminder once per day', async () => {
+    const { server, delivered } = await setup();
+    expect(await server.tick(evening)).toEqual([{
+      title: 'Today: Smith Pin Squats x 6 reps',
+      body: "You haven't logged today's result yet. Tap to add it.",
+      tag: 'reminder-2026-03-02',
+      url: '/calendar/2026-03-02',
+    }]);
+    expect(await server.tick(evening)).toEqual([]);
+    expect((await server.tick(nextEvening)).map((p) => p.tag)).toEqual(['reminder-2026-03-03']);
+    expect(delivered).toHaveLength(2);
+  });
+
+  it('waits for the chosen time', async () => {
+    const { server } = await setup({ time: '19:00' });
+    expect(await server.tick(evening)).toEqual([]);
+  });
+
+  it('skips a day that is already logged, without retrying it later', async () => {
+    const { repo, server, delivered } = await setup({ logged: (date) => date === '2026-03-02' });
+    expect(await server.tick(evening)).toEqual([]);
+    expect((await repo.push.list()).data[0].last_sent_on).toBe('2026-03-02');
+    expect(delivered).toEqual([]);
+  });
+
+  it('writes in the language saved with the subscription', async () => {
+    const { server } = await setup({ locale: 'es' });
+    expect((await server.tick(evening))[0].title).toBe('Hoy: Smith Pin Squats x 6 reps');
+  });
+});
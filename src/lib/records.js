@@ -0,0 +1,48 @@
+// src/lib/records.js
+// Personal records for one athlete, judged by the movement's scoring direction.
+import { daysBetween } from './dates';
+import { isBetter } from './scoring';
+
+// Every result that beat the athlete's previous best, oldest first.
+// The first ever result is the baseline and is not counted as a PR.
+export function prHistory(myEntries, movement) {
+  const rows = myEntries
+    .filter((e) => e.movement === movement.name && Number.isFinite(Number(e.value)))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const prs = [];
+  let best = null;
+  let lastPrDate = null;
+  for (const r of rows) {
+    const value = Number(r.value);
+    if (best === null) {
+      best = value;
+      lastPrDate = r.date;
+      continue;
+    }
+    if (!isBetter(value, best, movement)) continue;
+    prs.push({
+      date: r.date,
+      value,
+      previousBest: best,
+      margin: value - best,
+      daysSinceLast: daysBetween(lastPrDate, r.date),
+    });
+    best = value;
+    lastPrDate = r.date;
+  }
+  return prs;
+}
+
+// Would `value` on `date` be a new PR? Same-date rows are ignored since the save overwrites them.
+export function checkPR(myEntries, movement, date, value) {
+  let previousBest = null;
+  for (const e of myEntries) {
+    if (e.movement !== movement.name || e.date === date) continue;
+    const v = Number(e.value);
+    if (!Number.isFinite(v)) continue;
+    if (previousBest === null || isBetter(v, previousBest, movement)) previousBest = v;
+  }
+  if (previousBest === null || !isBetter(value, previousBest, movement)) return null;
+  return { date, value, previousBest, margin: value - previousBest };
+}
@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { prHistory, checkPR } from './records';
+
+const squat = { name: 'Squat', unit: 'lbs', direction: 'higher' };
+const run = { name: 'Run', unit: 'time', direction: 'lower' };
+const entry = (movement, date, value) => ({ movement, date, value });
+
+describe('prHistory', () => {
+  it('lists results that beat the previous best, skipping the first baseline', () => {
+    const entries = [
+      entry('Squat', '2026-03-09', 110),
+      entry('Squat', '2026-03-02', 100),
+      entry('Squat', '2026-03-16', 105),
+      entry('Squat', '2026-03-23', 120),
+      entry('Run', '2026-03-03', 60),
+    ];
+    expect(prHistory(entries, squat)).toEqual([
+      { date: '2026-03-09', value: 110, previousBest: 100, margin: 10, daysSinceLast: 7 },
+      { date: '2026-03-23', value: 120, previousBest: 110, margin: 10, daysSinceLast: 14 },
+    ]);
+  });
+
+  it('treats a faster time as a PR on lower-is-better movements', () => {
+    const entries = [entry('Run', '2026-03-03', 60), entry('Run', '2026-03-10', 62), entry('Run', '2026-03-17', 58.5)];
+    expect(prHistory(entries, run)).toEqual([
+      { date: '2026-03-17', value: 58.5, previousBest: 60, margin: -1.5, daysSinceLast: 14 },
+    ]);
+  });
+
+  it('does not count a tie as a PR', () => {
+    expect(prHistory([entry('Squat', '2026-03-02', 100), entry('Squat', '2026-03-09', 100)], squat)).toEqual([]);
+  });
+});
+
+describe('checkPR', () => {
+  const entries = [entry('Squat', '2026-03-02', 100), entry('Squat', '2026-03-09', 110)];
+
+  it('reports a result that beats every other day', () => {
+    expect(checkPR(entries, squat, '2026-03-16', 115)).toEqual({ date: '2026-03-16', value: 115, previousBest: 110, margin: 5 });
+  });
+
+  it('returns null for a first result, a tie or a worse one', () => {
+    expect(checkPR([], squat, '2026-03-16', 115)).toBeNull();
+    expect(checkPR(entries, squat, '2026-03-16', 110)).toBeNull();
+    expect(checkPR(entries, squat, '2026-03-16', 90)).toBeNull();
+  });
+
+  it('ignores the row being overwritten on the same date', () => {
+    expect(checkPR(entries, squat, '2026-03-09', 105)).toEqual({ date: '2026-03-09', value: 105, previousBest: 100, margin: 5 });
+  });
+});
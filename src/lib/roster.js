@@ -0,0 +1,40 @@
+// src/lib/roster.js
+// Coach dashboard: every member against the current cycle's weekday slots, and
+// who is behind on logging this week.
+import { todayISO, startOfWeekISO, addDaysISO } from './dates';
+import { WEEKDAY_ORDER } from './programs';
+import { slotStats } from './compare';
+import { isProgrammed } from './streaks';
+import { athleteFor } from './leaderboard';
+
+// Programmed days so far this program week (Monday → today)
+export function dueThisWeek(today = todayISO()) {
+  const days = [];
+  for (let d = startOfWeekISO(today); d <= today; d = addDaysISO(d, 1)) {
+    if (isProgrammed(d)) days.push(d);
+  }
+  return days;
+}
+
+// One row per member (everyone in the directory plus anyone with entries):
+// [{ userId, athlete, slots: { [weekday]: slotStats }, week: { due, logged, missing } }]
+// Entries should already be in one unit per movement. Members behind this week sort first.
+export function buildRoster(entries, directory, cycle, today = todayISO()) {
+  const byUser = new Map(Array.from(directory.keys(), (id) => [id, []]));
+  for (const e of entries) {
+    if (!byUser.has(e.user_id)) byUser.set(e.user_id, []);
+    byUser.get(e.user_id).push(e);
+  }
+  const due = dueThisWeek(today);
+  const weekdays = cycle ? WEEKDAY_ORDER.filter((wd) => cycle.weekTemplate[wd]) : [];
+  return Array.from(byUser, ([userId, rows]) => {
+    const logged = new Set(rows.map((r) => r.date));
+    const missing = due.filter((d) => !logged.has(d));
+    return {
+      userId,
+      athlete: athleteFor(rows[0] || { user_id: userId }, directory),
+      slots: Object.fromEntries(weekdays.map((wd) => [wd, slotStats(rows, cycle, wd, today)])),
+      week: { due: due.length, logged: due.length - missing.length, missing },
+    };
+  }).sort((a, b) => b.week.missing.length - a.week.missing.length || a.athlete.name.localeCompare(b.athlete.name));
+}
@@ -0,0 +1,72 @@
+// src/lib/routes.js
+// Paths for each screen so tabs, days and boards survive a reload and can be shared:
+//   /calendar/2026-03-02
+//   /history/<view>            (this | prev | all | compare | notes | entries)
+//   /history/<cycleId>         (one cycle's charts)
+//   /leaderboard/<movement>?window=cycle&cycle=<id>&view=age&division=female
+//   /coach/<memberId>          (coaches; member optional)
+//   /programs
+// The hash is left alone: Supabase magic links put their tokens there (see parseHash).
+import { isISODate } from './dates';
+import { LEADERBOARD_WINDOWS, LEADERBOARD_VIEWS } from './leaderboard';
+import { DIVISIONS } from './divisions';
+
+export const DB_VIEWS = ['this', 'prev', 'all', 'compare', 'notes', 'entries'];
+
+const oneOf = (value, options, fallback) => (options.includes(value) ? value : fallback);
+
+const decode = (part) => {
+  try {
+    return decodeURIComponent(part);
+  } catch {
+    return '';
+  }
+};
+
+// { tab, date?, dbView?, dbCycleId?, member?, movement?, window?, cycleId?, view?, division? } from a location
+export function parseRoute({ pathname = '/', search = '' }) {
+  const [section = '', arg = ''] = pathname.split('/').filter(Boolean).map(decode);
+  const query = new URLSearchParams(search);
+  switch (section) {
+    case 'history':
+    case 'database':
+      // Anything that isn't a view name is a cycle id
+      if (arg && !DB_VIEWS.includes(arg)) return { tab: 'database', dbView: 'cycle', dbCycleId: arg };
+      return { tab: 'database', dbView: oneOf(arg, DB_VIEWS, 'this') };
+    case 'leaderboard':
+      return {
+        tab: 'leaderboard',
+        movement: arg,
+        window: oneOf(query.get('window'), LEADERBOARD_WINDOWS.map((w) => w.value), 'all'),
+        cycleId: query.get('cycle') || '',
+        view: oneOf(query.get('view'), LEADERBOARD_VIEWS.map((v) => v.value), 'division'),
+        division: oneOf(query.get('division'), DIVISIONS.map((d) => d.value), ''),
+      };
+    case 'coach':
+      return { tab: 'coach', member: arg };
+    case 'programs':
+      return { tab: 'programs' };
+    default:
+      return { tab: 'calendar', date: isISODate(arg) ? arg : null };
+  }
+}
+
+// Path (with query string) for the current screen; defaults are left out
+export function routeFor({ tab, date, dbView, dbCycleId, member, movement, window, cycleId, view, division }) {
+  if (tab === 'database') {
+    if (dbView === 'cycle') return `/history/${dbCycleId ? encodeURIComponent(dbCycleId) : 'this'}`;
+    return `/history/${dbView || 'this'}`;
+  }
+  if (tab === 'coach') return `/coach${member ? `/${encodeURIComponent(member)}` : ''}`;
+  if (tab === 'programs') return '/programs';
+  if (tab === 'leaderboard') {
+    const query = new URLSearchParams();
+    if (window && window !== 'all') query.set('window', window);
+    if (window === 'past' && cycleId) query.set('cycle', cycleId);
+    if (view && view !== 'division') query.set('view', view);
+    if (division) query.set('division', division);
+    const search = query.toString();
+    return `/leaderboard${movement ? `/${encodeURIComponent(movement)}` : ''}${search ? `?${search}` : ''}`;
+  }
+  return `/calendar${date ? `/${date}` : ''}`;
+}
@@ -0,0 +1,54 @@
+// src/lib/scoring.js
+// Scoring direction decides what "best" means for a movement:
+//   higher — more is better (loads, watts, distance, rounds)
+//   lower  — less is better (times)
+//   target — closest to a band { min, max } wins; anything inside the band ties
+export const DIRECTIONS = ['higher', 'lower', 'target'];
+export const DIRECTION_LABELS = { higher: 'Higher is better', lower: 'Lower is better', target: 'Target band' };
+
+export function directionFor(movement) {
+  if (movement?.direction && DIRECTIONS.includes(movement.direction)) return movement.direction;
+  return movement?.unit === 'time' ? 'lower' : 'higher';
+}
+
+// Distance from ideal: smaller is better regardless of direction
+function scoreGap(value, movement) {
+  const n = Number(value);
+  switch (directionFor(movement)) {
+    case 'lower':
+      return n;
+    case 'target': {
+      const min = Number(movement.target?.min ?? -Infinity);
+      const max = Number(movement.target?.max ?? Infinity);
+      if (n < min) return min - n;
+      if (n > max) return n - max;
+      return 0;
+    }
+    default:
+      return -n;
+  }
+}
+
+// Sort comparator: negative when `a` is the better result
+export const compareValues = (a, b, movement) => scoreGap(a, movement) - scoreGap(b, movement);
+
+export const isBetter = (newVal, prevVal, movement) => compareValues(newVal, prevVal, movement) < 0;
+
+// Best row by value (first one wins on ties)
+export function bestOf(rows, movement, getValue = (r) => r.value) {
+  let best = null;
+  for (const r of rows) {
+    const v = Number(getValue(r));
+    if (!Number.isFinite(v)) continue;
+    if (!best || isBetter(v, getValue(best), movement)) best = r;
+  }
+  return best;
+}
+
+// 1 improved, -1 got worse, 0 unchanged (from → to)
+export function improvement(from, to, movement) {
+  const diff = compareValues(to, from, movement);
+  if (diff < 0) return 1;
+  if (diff > 0) return -1;
+  return 0;
+}
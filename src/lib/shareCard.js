@@ -0,0 +1,169 @@
+// src/lib/shareCard.js
+// Branded result card: drawn on a canvas, exported as PNG and handed to the Web
+// Share API (with a download when files can't be shared).
+import { getCycleForDate, getCycleBounds, getMovementByName } from './programs';
+import { directionFor } from './scoring';
+import { weekOfCycle, weeksIn } from './compare';
+import { formatValue } from './format';
+import { downloadFile } from './transfer';
+import { t, formatDate } from './i18n';
+
+export const CARD_SIZE = 1080; // square, the size most feeds expect
+const BLACK = '#000';
+const GOLD = '#dca636';
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+const SPARK_POINTS = 12;
+
+// Everything the card shows for one entry. `myEntries` should be in the same
+// units as `entry`; the sparkline is this movement in the entry's cycle, up to that day.
+export function shareCardData(entry, myEntries, { isPR = false } = {}) {
+  const cycle = getCycleForDate(entry.date);
+  const series = myEntries
+    .filter((e) => e.movement === entry.movement && e.date <= entry.date)
+    .filter((e) => !cycle || e.date >= getCycleBounds(cycle).start)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .slice(-SPARK_POINTS)
+    .map((e) => Number(e.value));
+  const unit = entry.unit || '';
+  const movement = getMovementByName(entry.movement) || { name: entry.movement, unit };
+  return {
+    movement: entry.movement,
+    value: formatValue(entry.value, unit),
+    unit: unit === 'time' ? '' : unit,
+    date: entry.date,
+    dateLabel: formatDate(entry.date),
+    week: cycle ? t('Week {week} of {weeks}', { week: weekOfCycle(entry.date, cycle), weeks: weeksIn(cycle) }) + (cycle.name ? ` • ${cycle.name}` : '') : '',
+    isPR,
+    series,
+    lowerIsBetter: directionFor(movement) === 'lower', // sparkline points up when improving
+  };
+}
+
+// Names without ASCII letters or digits (e.g. only accents or emoji) get a fixed slug
+export function shareFileName(card) {
+  const slug = card.movement.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `mom3nt-${slug || 'result'}-${card.date}.png`;
+}
+
+// Largest font size (down to `min`) at which `text` fits in `maxWidth`
+function fitFont(ctx, text, maxWidth, size, weight, min = 28) {
+  let s = size;
+  do {
+    ctx.font = `${weight} ${s}px ${FONT}`;
+    if (ctx.measureText(text).width <= maxWidth) break;
+    s -= 4;
+  } while (s > min);
+  return s;
+}
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+function drawSparkline(ctx, values, x, y, w, h, flip = false) {
+  if (values.length < 2) return;
+  const min = Math.min(...values);
+  const span = Math.max(...values) - min || 1;
+  const px = (i) => x + (i / (values.length - 1)) * w;
+  const py = (v) => (flip ? y + ((v - min) / span) * h : y + h - ((v - min) / span) * h);
+  ctx.strokeStyle = GOLD;
+  ctx.lineWidth = 8;
+  ctx.lineJoin = 'round';
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  values.forEach((v, i) => (i ? ctx.lineTo(px(i), py(v)) : ctx.moveTo(px(i), py(v))));
+  ctx.stroke();
+  // Today's result
+  const last = values.length - 1;
+  ctx.fillStyle = GOLD;
+  ctx.beginPath();
+  ctx.arc(px(last), py(values[last]), 16, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+export function drawShareCard(ctx, card, size = CARD_SIZE) {
+  const pad = size * 0.08;
+  const inner = size - pad * 2;
+
+  ctx.fillStyle = BLACK;
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = GOLD;
+  ctx.fillRect(0, 0, size, 16);
+
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = GOLD;
+  ctx.font = `800 44px ${FONT}`;
+  ctx.fillText('MOM3NT', pad, pad + 40);
+  ctx.textAlign = 'right';
+  ctx.fillStyle = '#fff';
+  ctx.font = `500 36px ${FONT}`;
+  ctx.fillText(card.dateLabel, size - pad, pad + 40);
+
+  ctx.textAlign = 'left';
+  fitFont(ctx, card.movement, inner, 84, 700);
+  ctx.fillText(card.movement, pad, pad + 190);
+
+  if (card.week) {
+    ctx.fillStyle = '#9ca3af';
+    ctx.font = `500 36px ${FONT}`;
+    ctx.fillText(card.week, pad, pad + 250);
+  }
+
+  // Value, with the unit set smaller after it
+  ctx.fillStyle = GOLD;
+  const valueSize = fitFont(ctx, card.value, inner * (card.unit ? 0.75 : 1), 220, 800, 80);
+  ctx.fillText(card.value, pad, pad + 250 + valueSize);
+  if (card.unit) {
+    const valueWidth = ctx.measureText(card.value).width;
+    ctx.fillStyle = '#fff';
+    ctx.font = `600 64px ${FONT}`;
+    ctx.fillText(card.unit, pad + valueWidth + 20, pad + 250 + valueSize);
+  }
+
+  if (card.isPR) {
+    const y = pad + 300 + valueSize;
+    ctx.font = `800 44px ${FONT}`;
+    const label = `🏆 ${t('PERSONAL RECORD')}`;
+    const w = ctx.measureText(label).width + 56;
+    ctx.fillStyle = GOLD;
+    roundRect(ctx, pad, y, w, 80, 40);
+    ctx.fill();
+    ctx.fillStyle = BLACK;
+    ctx.fillText(label, pad + 28, y + 56);
+  }
+
+  drawSparkline(ctx, card.series, pad, size - pad - 180, inner, 160, card.lowerIsBetter);
+}
+
+// Card → PNG blob
+export function renderShareCard(card, size = CARD_SIZE) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  drawShareCard(canvas.getContext('2d'), card, size);
+  return new Promise((resolve, reject) =>
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error(t('Could not render the image.')))), 'image/png'));
+}
+
+// Resolves to 'shared', 'cancelled' or 'downloaded'
+export async function shareImage(blob, filename, title) {
+  const file = new File([blob], filename, { type: 'image/png' });
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title });
+      return 'shared';
+    } catch (e) {
+      if (e.name === 'AbortError') return 'cancelled';
+      console.error('Share failed, downloading instead:', e);
+    }
+  }
+  downloadFile(filename, blob, 'image/png');
+  return 'downloaded';
+}
@@ -0,0 +1,42 @@
+// src/lib/streaks.js
+// Logging streaks and catch-up helpers for the calendar. Only programmed days
+// count: a TBD day or a gap between cycles neither extends nor breaks a streak.
+import { addDaysISO, todayISO } from './dates';
+import { getCycles, getCycleBounds, movementForDate } from './programs';
+
+export const isProgrammed = (dateISO) => movementForDate(dateISO).name !== 'TBD';
+
+// { current, longest } in programmed days. Today only counts once it's logged,
+// so an unlogged today doesn't reset the current streak.
+export function loggingStreaks(loggedDates, today = todayISO(), cycles = getCycles()) {
+  if (!cycles.length) return { current: 0, longest: 0 };
+  const first = cycles.reduce((min, c) => (c.start < min ? c.start : min), cycles[0].start);
+  let run = 0;
+  let longest = 0;
+  let current = 0;
+  for (let d = first; d <= today; d = addDaysISO(d, 1)) {
+    if (!isProgrammed(d)) continue;
+    if (loggedDates.has(d)) run += 1;
+    else if (d !== today) run = 0;
+    longest = Math.max(longest, run);
+    current = run;
+  }
+  return { current, longest };
+}
+
+// Next programmed day in the cycle without a result, searching forward from
+// `after` up to today and then wrapping to the start of the cycle. null when all caught up.
+export function nextUnloggedDay(loggedDates, cycle, after, today = todayISO()) {
+  if (!cycle) return null;
+  const { start, end } = getCycleBounds(cycle);
+  const last = end < today ? end : today;
+  const open = (d) => isProgrammed(d) && !loggedDates.has(d);
+  const from = addDaysISO(after, 1);
+  for (let d = from < start ? start : from; d <= last; d = addDaysISO(d, 1)) {
+    if (open(d)) return d;
+  }
+  for (let d = start; d <= after && d <= last; d = addDaysISO(d, 1)) {
+    if (open(d)) return d;
+  }
+  return null;
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { loggingStreaks, nextUnloggedDay } from './streaks';
+import { addDaysISO } from './dates';
+import { getCycles } from './programs';
+
+// Built-in program: the November 2025 cycle ends on Sun 2026-01-04 and January 2026
+// starts on Mon 2026-01-12, so the week between is unprogrammed.
+const days = (from, to) => {
+  const list = [];
+  for (let d = from; d <= to; d = addDaysISO(d, 1)) list.push(d);
+  return new Set(list);
+};
+const cycles = getCycles();
+const january = cycles.find((c) => c.id === 'jan-2026');
+
+describe('loggingStreaks', () => {
+  it('counts consecutive programmed days up to today', () => {
+    expect(loggingStreaks(days('2026-01-12', '2026-01-15'), '2026-01-15', cycles)).toEqual({ current: 4, longest: 4 });
+  });
+
+  it('does not reset the streak for an unlogged today', () => {
+    expect(loggingStreaks(days('2026-01-12', '2026-01-14'), '2026-01-15', cycles)).toEqual({ current: 3, longest: 3 });
+  });
+
+  it('resets on a missed programmed day but keeps the longest run', () => {
+    const logged = new Set([...days('2026-01-12', '2026-01-14'), '2026-01-16']);
+    expect(loggingStreaks(logged, '2026-01-16', cycles)).toEqual({ current: 1, longest: 3 });
+  });
+
+  it('carries the streak across the gap between cycles', () => {
+    const logged = days('2026-01-01', '2026-01-13');
+    expect(loggingStreaks(logged, '2026-01-13', cycles)).toEqual({ current: 6, longest: 6 });
+  });
+
+  it('is zero without cycles', () => {
+    expect(loggingStreaks(new Set(['2026-01-12']), '2026-01-12', [])).toEqual({ current: 0, longest: 0 });
+  });
+});
+
+describe('nextUnloggedDay', () => {
+  it('finds the next open day after the selected one, then wraps to the cycle start', () => {
+    const logged = days('2026-01-12', '2026-01-20');
+    expect(nextUnloggedDay(logged, january, '2026-01-12', '2026-01-22')).toBe('2026-01-21');
+    expect(nextUnloggedDay(new Set(['2026-01-13']), january, '2026-01-14', '2026-01-14')).toBe('2026-01-12');
+  });
+
+  it('returns null when every programmed day up to today is logged', () => {
+    expect(nextUnloggedDay(days('2026-01-12', '2026-01-15'), january, '2026-01-15', '2026-01-15')).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+// src/lib/strength.js
+// Estimated one-rep max for rep-max movements, so a 6RM block and a 3RM block of
+// the same lift can be compared. Only weight movements that declare `reps`
+// (or attempts that logged reps) get an estimate.
+import { isWeightUnit, convertValue } from './units';
+import { getCycleBounds } from './programs';
+import { isWithinISO } from './dates';
+
+export const E1RM_FORMULAS = [
+  { value: 'epley', label: 'Epley' },
+  { value: 'brzycki', label: 'Brzycki' },
+];
+
+export function estimate1RM(load, reps, formula = 'epley') {
+  const w = Number(load);
+  const r = Number(reps);
+  if (!(w > 0) || !(r >= 1)) return NaN;
+  if (r === 1) return w;
+  if (formula === 'brzycki') return r < 37 ? (w * 36) / (37 - r) : NaN;
+  return w * (1 + r / 30);
+}
+
+export const hasRepScheme = (movement) => isWeightUnit(movement?.unit) && Number(movement?.reps) >= 1;
+
+// Best estimate across the entry's attempts; an attempt's own reps beat the programmed count
+export function entryE1RM(entry, movement, formula = 'epley') {
+  if (!isWeightUnit(movement?.unit)) return null;
+  const attempts = Array.isArray(entry.attempts) && entry.attempts.length ? entry.attempts : [{ value: entry.value }];
+  const estimates = attempts
+    .map((a) => estimate1RM(a.value, a.reps || movement.reps, formula))
+    .filter(Number.isFinite);
+  return estimates.length ? Math.max(...estimates) : null;
+}
+
+// Per lift family, the best e1RM in each block that programmed it, all in one unit.
+// Families that only ever appeared in one block are left out (nothing to compare).
+export function strengthByBlock(entries, cycles, { formula = 'epley', unitPref = '' } = {}) {
+  const families = new Map();
+  for (const cycle of cycles) {
+    const { start, end } = getCycleBounds(cycle);
+    for (const m of Object.values(cycle.weekTemplate)) {
+      if (!m?.lift || !isWeightUnit(m.unit)) continue;
+      const list = families.get(m.lift) || [];
+      list.push({ cycle, movement: m, start, end });
+      families.set(m.lift, list);
+    }
+  }
+
+  const out = [];
+  for (const [lift, blocks] of families) {
+    if (blocks.length < 2) continue;
+    // Compare in the member's preferred unit, else the most recent block's unit
+    const unit = isWeightUnit(unitPref) ? unitPref : blocks[blocks.length - 1].movement.unit;
+    const rows = blocks.map(({ cycle, movement, start, end }) => {
+      let best = null;
+      for (const e of entries) {
+        if (e.movement !== movement.name || !isWithinISO(e.date, start, end)) continue;
+        const est = entryE1RM(e, movement, formula);
+        if (est == null) continue;
+        const v = convertValue(est, e.unit || movement.unit, unit);
+        if (!best || v > best.e1rm) best = { e1rm: v, date: e.date, value: Number(e.value), entryUnit: e.unit || movement.unit };
+      }
+      return { cycleId: cycle.id, cycleName: cycle.name || start, movement: movement.name, reps: movement.reps || null, best };
+    });
+    if (rows.some((r) => r.best)) out.push({ lift, unit, blocks: rows });
+  }
+  return out.sort((a, b) => a.lift.localeCompare(b.lift));
+}
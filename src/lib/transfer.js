@@ -0,0 +1,235 @@
+// src/lib/transfer.js
+// Export a member's history to CSV/JSON and validate spreadsheet imports
+// against the configured cycles before anything is upserted.
+import { isoDate, isISODate, isWithinISO } from './dates';
+import { getCycles, getCycleBounds, getCurrentCycleIndex, getCycleForDate, movementForDate } from './programs';
+import { parseDuration } from './format';
+import { isWeightUnit } from './units';
+import { formatSettings, parseSettings, parseTags } from './notes';
+import { t } from './i18n';
+
+export const EXPORT_FIELDS = ['movement', 'unit', 'date', 'value', 'notes', 'rpe', 'pain', 'tags', 'settings'];
+export const IMPORT_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'value', label: 'Value', required: true },
+  { key: 'movement', label: 'Movement', required: false },
+  { key: 'unit', label: 'Unit', required: false },
+  { key: 'notes', label: 'Notes', required: false },
+  { key: 'rpe', label: 'RPE', required: false },
+  { key: 'pain', label: 'Pain / injury', required: false },
+  { key: 'tags', label: 'Tags', required: false },
+  { key: 'settings', label: 'Equipment settings', required: false },
+];
+// Written only when mapped, so an overwrite keeps whatever the file doesn't have
+const DETAIL_FIELDS = ['notes', 'rpe', 'pain', 'tags', 'settings'];
+
+/* ========== Export ========== */
+// range: 'this' | 'prev' | 'all' (same meaning as the Database view)
+export function entriesForRange(myEntries, range) {
+  if (range === 'all') return myEntries;
+  const cycles = getCycles();
+  const idx = getCurrentCycleIndex();
+  const currIdx = idx >= 0 ? idx : cycles.length - 1;
+  const cycle = cycles[range === 'prev' ? currIdx - 1 : currIdx];
+  if (!cycle) return [];
+  const { start, end } = getCycleBounds(cycle);
+  return myEntries.filter((e) => isWithinISO(e.date, start, end));
+}
+
+const csvCell = (v) => {
+  const text = v == null ? '' : String(v);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportRecord = (e) => ({
+  movement: e.movement,
+  unit: e.unit || '',
+  date: e.date,
+  value: e.value,
+  notes: e.notes || '',
+  rpe: e.rpe ?? '',
+  pain: e.pain ? 'yes' : '',
+  tags: (e.tags || []).join(', '),
+  settings: formatSettings(e.settings),
+});
+
+export function toCSV(entries) {
+  const lines = [EXPORT_FIELDS.join(',')];
+  for (const e of entries) {
+    const rec = exportRecord(e);
+    lines.push(EXPORT_FIELDS.map((f) => csvCell(rec[f])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+export const toJSON = (entries) => JSON.stringify(entries.map(exportRecord), null, 2);
+
+// `content` is text or a Blob (e.g. a rendered PNG)
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* ========== Import: parsing ========== */
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+
+  const nonEmpty = rows.filter((r) => r.some((c) => c.trim() !== ''));
+  const [headers = [], ...body] = nonEmpty;
+  const cleanHeaders = headers.map((h) => h.trim());
+  return {
+    headers: cleanHeaders,
+    records: body.map((r) => Object.fromEntries(cleanHeaders.map((h, i) => [h, (r[i] ?? '').trim()]))),
+  };
+}
+
+export function parseJSONImport(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.entries) ? data.entries : null;
+  if (!list) throw new Error(t('Expected an array of entries.'));
+  const headers = Array.from(new Set(list.flatMap((r) => (r && typeof r === 'object' ? Object.keys(r) : []))));
+  return {
+    headers,
+    records: list.map((r) => Object.fromEntries(headers.map((h) => [h, r?.[h] == null ? '' : String(r[h]).trim()]))),
+  };
+}
+
+// Best guess of which column feeds each field (case/spacing-insensitive)
+export function guessMapping(headers) {
+  const norm = (h) => h.toLowerCase().replace(/[^a-z]/g, '');
+  const aliases = {
+    date: ['date', 'day', 'when'],
+    value: ['value', 'result', 'score', 'weight', 'time'],
+    movement: ['movement', 'exercise', 'lift', 'name'],
+    unit: ['unit', 'units'],
+    notes: ['notes', 'note', 'comment', 'comments'],
+    rpe: ['rpe', 'effort'],
+    pain: ['pain', 'injury', 'paininjury'],
+    tags: ['tags', 'tag', 'labels'],
+    settings: ['settings', 'setup', 'equipment', 'equipmentsettings'],
+  };
+  const mapping = {};
+  for (const [field, names] of Object.entries(aliases)) {
+    mapping[field] = headers.find((h) => names.includes(norm(h))) || '';
+  }
+  return mapping;
+}
+
+/* ========== Import: validation ========== */
+// Accepts YYYY-MM-DD and M/D/YYYY; returns 'YYYY-MM-DD' or null
+export function parseImportDate(raw) {
+  const text = String(raw || '').trim();
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  let y, mo, d;
+  if (m) [, y, mo, d] = m;
+  else if ((m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text))) [, mo, d, y] = m;
+  else return null;
+  const iso = isoDate(Number(y), Number(mo) - 1, Number(d));
+  return isISODate(iso) ? iso : null;
+}
+
+function parseImportValue(raw, unit) {
+  const text = String(raw || '').trim();
+  if (unit === 'time' && text.includes(':')) return parseDuration(text);
+  const n = parseFloat(text);
+  return Number.isFinite(n) && /^-?[\d.]+$/.test(text) ? n : NaN;
+}
+
+// Reads the text exportRecord writes; returns { value } or { error }
+function parseDetail(field, raw) {
+  const text = String(raw || '').trim();
+  if (field === 'notes') return { value: text || null };
+  if (field === 'tags') return { value: parseTags(text) };
+  if (field === 'rpe') {
+    if (!text) return { value: null };
+    const rpe = Number(text.replace(',', '.'));
+    return rpe >= 1 && rpe <= 10 ? { value: rpe } : { error: t('RPE must be between 1 and 10.') };
+  }
+  if (field === 'pain') {
+    const answer = text.toLowerCase();
+    if (['', 'no', 'n', 'false', '0'].includes(answer)) return { value: false };
+    if (['yes', 'y', 'true', '1'].includes(answer)) return { value: true };
+    return { error: t('Unrecognised pain value "{pain}"', { pain: text }) };
+  }
+  const settings = parseSettings(text);
+  if (!settings) return { error: t('Unrecognised settings "{settings}"', { settings: text }) };
+  return { value: Object.keys(settings).length ? settings : null };
+}
+
+// Every record gets status 'new', 'conflict' (a row already exists for that date) or 'error'
+export function validateImport(records, mapping, myEntries) {
+  const existingByDate = new Map(myEntries.map((e) => [e.date, e]));
+  const seen = new Set();
+  return records.map((rec, i) => {
+    const line = i + 2; // header is line 1
+    const get = (field) => (mapping[field] ? rec[mapping[field]] ?? '' : '');
+    const fail = (error, extra = {}) => ({ line, status: 'error', error, ...extra });
+
+    const date = parseImportDate(get('date'));
+    if (!date) return fail(t('Unrecognised date "{date}"', { date: get('date') }));
+    if (!getCycleForDate(date)) return fail(t('Date is outside every configured cycle'), { date });
+    const mov = movementForDate(date);
+    if (mov.name === 'TBD') return fail(t('No movement programmed on this day'), { date });
+
+    const movement = get('movement').trim();
+    if (movement && movement.toLowerCase() !== mov.name.toLowerCase()) {
+      return fail(t('Programmed movement is "{programmed}", not "{movement}"', { programmed: mov.name, movement }), { date });
+    }
+
+    let unit = get('unit').trim().toLowerCase() || mov.unit;
+    if (unit === 'lb') unit = 'lbs';
+    if (unit === 'kg') unit = 'kgs';
+    if (unit !== mov.unit && !(isWeightUnit(unit) && isWeightUnit(mov.unit))) {
+      return fail(t('Unit "{unit}" doesn\'t match {expected}', { unit, expected: mov.unit }), { date });
+    }
+
+    const value = parseImportValue(get('value'), unit);
+    if (!(value > 0)) return fail(t('Invalid value "{value}"', { value: get('value') }), { date });
+
+    const details = {};
+    for (const field of DETAIL_FIELDS.filter((f) => mapping[f])) {
+      const parsed = parseDetail(field, get(field));
+      if (parsed.error) return fail(parsed.error, { date });
+      details[field] = parsed.value;
+    }
+
+    if (seen.has(date)) return fail(t('Duplicate date in this file'), { date });
+    seen.add(date);
+
+    const existing = existingByDate.get(date) || null;
+    return {
+      line,
+      status: existing ? 'conflict' : 'new',
+      date,
+      movement: mov.name,
+      unit,
+      value,
+      details, // mapped detail columns only
+      existing,
+    };
+  });
+}
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { parseCSV, parseJSONImport, guessMapping, validateImport, toCSV, toJSON, parseImportDate } from './transfer';
+
+// Built-in February 2026 cycle: Mondays are 'Smith Pin Squats x 6 reps' (lbs),
+// Sundays '500m Ski time' (time)
+const SQUAT = 'Smith Pin Squats x 6 reps';
+const read = (csv, existing = []) => {
+  const { headers, records } = parseCSV(csv);
+  return validateImport(records, guessMapping(headers), existing);
+};
+
+describe('parseCSV', () => {
+  it('handles quoted fields, doubled quotes, commas, newlines and CRLF', () => {
+    const text = 'date,notes\r\n2026-03-02,"felt ""strong"", fast"\r\n2026-03-09,"two\nlines"\r\n';
+    expect(parseCSV(text)).toEqual({
+      headers: ['date', 'notes'],
+      records: [
+        { date: '2026-03-02', notes: 'felt "strong", fast' },
+        { date: '2026-03-09', notes: 'two\nlines' },
+      ],
+    });
+  });
+
+  it('skips blank lines, trims cells and fills missing cells', () => {
+    expect(parseCSV(' date , value \n\n2026-03-02\n').records).toEqual([{ date: '2026-03-02', value: '' }]);
+  });
+});
+
+describe('parseImportDate', () => {
+  it('accepts YYYY-MM-DD and M/D/YYYY, and rejects impossible days', () => {
+    expect(parseImportDate('2026-3-2')).toBe('2026-03-02');
+    expect(parseImportDate('3/2/2026')).toBe('2026-03-02');
+    expect(parseImportDate('2/30/2026')).toBeNull();
+    expect(parseImportDate('March 2')).toBeNull();
+  });
+});
+
+describe('validateImport', () => {
+  it('matches rows to the programmed movement and unit', () => {
+    const [row] = read('Date,Result,Unit\n2026-03-02,225,lb\n');
+    expect(row).toMatchObject({ line: 2, status: 'new', date: '2026-03-02', movement: SQUAT, unit: 'lbs', value: 225 });
+  });
+
+  it('reads times as m:ss', () => {
+    expect(read('date,value\n2026-03-01,1:52.40\n')[0]).toMatchObject({ status: 'new', unit: 'time', value: 112.4 });
+  });
+
+  it('reports each problem on its own line', () => {
+    const rows = read([
+      'date,value,movement,unit',
+      'someday,100,,',
+      '2026-06-01,100,,',
+      `2026-03-02,100,Deadlift,`,
+      '2026-03-02,100,,watts',
+      '2026-03-02,abc,,',
+      '2026-03-02,100,,',
+      '2026-03-02,110,,',
+    ].join('\n'));
+    expect(rows.map((r) => r.status)).toEqual(['error', 'error', 'error', 'error', 'error', 'new', 'error']);
+    expect(rows.map((r) => r.line)).toEqual([2, 3, 4, 5, 6, 7, 8]);
+    expect(rows[6].error).toBe('Duplicate date in this file');
+  });
+
+  it('flags days that are already logged as conflicts', () => {
+    const existing = { date: '2026-03-02', value: 200, unit: 'lbs' };
+    expect(read('date,value\n2026-03-02,225\n', [existing])[0]).toMatchObject({ status: 'conflict', existing });
+  });
+
+  it('only returns the detail columns that were mapped', () => {
+    expect(read('date,value\n2026-03-02,225\n')[0].details).toEqual({});
+    expect(read('date,value,notes\n2026-03-02,225,\n')[0].details).toEqual({ notes: null });
+  });
+
+  it('rejects details it cannot read', () => {
+    expect(read('date,value,rpe\n2026-03-02,225,11\n')[0].status).toBe('error');
+    expect(read('date,value,pain\n2026-03-02,225,maybe\n')[0].status).toBe('error');
+    expect(read('date,value,settings\n2026-03-02,225,Seat height\n')[0].status).toBe('error');
+  });
+});
+
+describe('export → import', () => {
+  const entry = {
+    movement: SQUAT, unit: 'lbs', date: '2026-03-02', value: 225, notes: 'Felt good, "easy"',
+    rpe: 8.5, pain: true, tags: ['deload', 'new shoes'], settings: { 'Seat height': '4', Pins: '12' },
+  };
+  const details = { notes: entry.notes, rpe: 8.5, pain: true, tags: ['deload', 'new shoes'], settings: entry.settings };
+
+  it('keeps session details through CSV', () => {
+    const { headers, records } = parseCSV(toCSV([entry]));
+    const [row] = validateImport(records, guessMapping(headers), []);
+    expect(row).toMatchObject({ status: 'new', movement: SQUAT, value: 225, details });
+  });
+
+  it('keeps session details through JSON', () => {
+    const { headers, records } = parseJSONImport(toJSON([entry]));
+    const [row] = validateImport(records, guessMapping(headers), []);
+    expect(row).toMatchObject({ status: 'new', details });
+  });
+
+  it('reads a blank detail as cleared', () => {
+    const { headers, records } = parseCSV(toCSV([{ ...entry, notes: '', rpe: null, pain: false, tags: [], settings: null }]));
+    const [row] = validateImport(records, guessMapping(headers), []);
+    expect(row.details).toEqual({ notes: null, rpe: null, pain: false, tags: [], settings: null });
+  });
+});
@@ -0,0 +1,52 @@
+// src/lib/units.js
+// Entries keep the value and unit they were entered in. Anything that shows or
+// compares values converts on the way out, so a kg lifter and a lbs lifter rank
+// correctly against each other.
+export const WEIGHT_UNITS = ['lbs', 'kgs'];
+export const UNIT_PREFS = [
+  { value: '', label: 'As programmed' },
+  { value: 'lbs', label: 'Pounds (lbs)' },
+  { value: 'kgs', label: 'Kilograms (kgs)' },
+];
+
+const LBS_PER_KG = 2.2046226218;
+
+export const isWeightUnit = (unit) => WEIGHT_UNITS.includes(unit);
+
+export function convertValue(value, from, to) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || from === to || !isWeightUnit(from) || !isWeightUnit(to)) return n;
+  return from === 'kgs' ? n * LBS_PER_KG : n / LBS_PER_KG;
+}
+
+// Unit a member sees for a movement: their preference for weights, the programmed unit otherwise
+export const displayUnitFor = (movementUnit, pref) =>
+  pref && isWeightUnit(pref) && isWeightUnit(movementUnit) ? pref : movementUnit;
+
+// Copy of an entry with value, attempts and load expressed in `unit`
+export function entryInUnit(entry, unit) {
+  const from = entry.unit;
+  if (!unit || from === unit || !isWeightUnit(from) || !isWeightUnit(unit)) return entry;
+  const conv = (v) => (v == null ? v : convertValue(v, from, unit));
+  return {
+    ...entry,
+    value: conv(entry.value),
+    attempts: Array.isArray(entry.attempts)
+      ? entry.attempts.map((a) => ({ ...a, value: conv(a.value), load: conv(a.load) }))
+      : entry.attempts,
+    unit,
+  };
+}
+
+// Same as entryInUnit, rounded for editing (100 kg → 220.46, not 220.4622…).
+// Values already in `unit` are left exactly as entered.
+export function entryForInput(entry, unit) {
+  const converted = entryInUnit(entry, unit);
+  if (converted === entry) return entry;
+  const round = (v) => (v == null ? v : Math.round(v * 100) / 100);
+  return {
+    ...converted,
+    value: round(converted.value),
+    attempts: converted.attempts?.map((a) => ({ ...a, value: round(a.value), load: round(a.load) })),
+  };
+}
@@ -0,0 +1,300 @@
+// src/locales/es.js
+// Spanish catalog: English source text → Spanish. Keys must match the t()/tn()
+// strings exactly, placeholders included; missing keys fall back to English.
+export default {
+  /* ---- Sign in & header ---- */
+  'Enter your email': 'Introduce tu correo',
+  'Enter your email above first': 'Primero introduce tu correo arriba',
+  'Enter the 6-digit code from the email': 'Introduce el código de 6 dígitos del correo',
+  'Demo mode: enter any 6-digit code.': 'Modo demo: introduce cualquier código de 6 dígitos.',
+  'Code sent! Check your email for the 6-digit code.': '¡Código enviado! Revisa tu correo para ver el código de 6 dígitos.',
+  'Demo mode: data stays on this device. Use any email and any 6-digit code.': 'Modo demo: los datos se quedan en este dispositivo. Usa cualquier correo y cualquier código de 6 dígitos.',
+  'Sign in with the 6-digit code sent to your email.': 'Inicia sesión con el código de 6 dígitos enviado a tu correo.',
+  'Send Code': 'Enviar código',
+  'Enter 6-digit code': 'Código de 6 dígitos',
+  'Verify & Sign In': 'Verificar e iniciar sesión',
+  'Language': 'Idioma',
+  'Offline': 'Sin conexión',
+  '{n} pending': '{n} pendientes',
+  'Calendar': 'Calendario',
+  'Database': 'Historial',
+  'Leaderboard': 'Clasificación',
+  'Coach': 'Entrenador',
+  'Programs': 'Programas',
+  'Profile': 'Perfil',
+  'Sign Out': 'Cerrar sesión',
+
+  /* ---- Profile ---- */
+  'Name': 'Nombre',
+  'First Last': 'Nombre Apellido',
+  'Display name (leaderboard)': 'Nombre visible (clasificación)',
+  'Nickname': 'Apodo',
+  'Division': 'División',
+  'Not set (Open only)': 'Sin definir (solo Abierta)',
+  'Men': 'Hombres',
+  'Women': 'Mujeres',
+  'Non-binary': 'No binario',
+  'Open only': 'Solo Abierta',
+  'Birth year': 'Año de nacimiento',
+  'e.g. 1984': 'p. ej. 1984',
+  'Bodyweight': 'Peso corporal',
+  'optional': 'opcional',
+  'Weight units': 'Unidades de peso',
+  'As programmed': 'Como en el programa',
+  'Pounds (lbs)': 'Libras (lbs)',
+  'Kilograms (kgs)': 'Kilogramos (kgs)',
+  'Hide me from the leaderboard': 'Ocultarme de la clasificación',
+  'Remind me to log on training days': 'Recordarme registrar los días de entrenamiento',
+  'at': 'a las',
+  "on this device, if you haven't logged yet": 'en este dispositivo, si aún no has registrado',
+  "This browser doesn't support notifications.": 'Este navegador no admite notificaciones.',
+  'This browser does not support notifications.': 'Este navegador no admite notificaciones.',
+  'Notifications are blocked for this site. Allow them in your browser settings.': 'Las notificaciones están bloqueadas para este sitio. Permítelas en la configuración del navegador.',
+  'Reminders are not configured (VITE_VAPID_PUBLIC_KEY).': 'Los recordatorios no están configurados (VITE_VAPID_PUBLIC_KEY).',
+  'Close': 'Cerrar',
+  'Save Profile': 'Guardar perfil',
+  'Your results are linked to your account, so changing your name keeps your history together. The leaderboard shows your display name (or first name); birth year and bodyweight place you in age groups and bodyweight classes.': 'Tus resultados están vinculados a tu cuenta, así que cambiar tu nombre mantiene tu historial unido. La clasificación muestra tu nombre visible (o tu nombre de pila); el año de nacimiento y el peso corporal te sitúan en grupos de edad y categorías de peso.',
+  'Enter a 4-digit birth year.': 'Introduce un año de nacimiento de 4 dígitos.',
+  'Bodyweight must be a positive number.': 'El peso corporal debe ser un número positivo.',
+  'Profile saved!': '¡Perfil guardado!',
+
+  /* ---- Calendar & logging ---- */
+  'Please sign in first (use code).': 'Primero inicia sesión (con el código).',
+  'This date is not in an active cycle yet. Entry is disabled.': 'Esta fecha aún no está en un ciclo activo. El registro está desactivado.',
+  "You're all caught up in this cycle.": 'Estás al día en este ciclo.',
+  'Some offline entries could not be saved:': 'Algunos registros sin conexión no se pudieron guardar:',
+  'Streak': 'Racha',
+  'Longest': 'Mejor racha',
+  'Catch-up': 'Ponerse al día',
+  'Next unlogged': 'Siguiente sin registrar',
+  'TBD': 'Por definir',
+  'logged': 'registrado',
+  '{done} of {total} programmed days logged': '{done} de {total} días programados registrados',
+  'Selected: {date}': 'Seleccionado: {date}',
+  'Units: {unit}': 'Unidades: {unit}',
+  'time (m:ss.hh)': 'tiempo (m:ss.hh)',
+  "Saved on this device — will sync when you're back online.": 'Guardado en este dispositivo; se sincronizará cuando vuelvas a tener conexión.',
+  'Synced from offline.': 'Sincronizado desde el modo sin conexión.',
+  'Synced': 'Sincronizado',
+  'TBD day — entries disabled outside the defined cycles.': 'Día por definir: no se puede registrar fuera de los ciclos definidos.',
+  'New PR!': '¡Nuevo récord!',
+  '{delta} over your previous best ({previous})': '{delta} sobre tu mejor marca anterior ({previous})',
+  'Unavailable': 'No disponible',
+  'Enter {unit}': 'Introduce {unit}',
+  'Reps': 'Reps',
+  'Load': 'Carga',
+  'RPE': 'RPE',
+  'Remove attempt {n}': 'Quitar intento {n}',
+  'Day score (best attempt):': 'Resultado del día (mejor intento):',
+  'Add attempt': 'Añadir intento',
+  'Save': 'Guardar',
+  'Share': 'Compartir',
+  'Notes (optional)': 'Notas (opcional)',
+  'Add any context or notes…': 'Añade contexto o notas…',
+  'Pain / injury': 'Dolor / lesión',
+  'Tags, comma separated (e.g. deload, new shoes)': 'Etiquetas separadas por comas (p. ej. descarga, zapatillas nuevas)',
+  'Equipment settings': 'Ajustes del equipo',
+  '(carried forward for this movement)': '(se mantienen para este movimiento)',
+  'Setting (e.g. Seat height)': 'Ajuste (p. ej. altura del asiento)',
+  'Value': 'Valor',
+  'Remove setting': 'Quitar ajuste',
+  'Setting': 'Ajuste',
+  'Attempt {n}: ': 'Intento {n}: ',
+  'Enter a time as m:ss or m:ss.hh (e.g. 1:45.30).': 'Introduce un tiempo como m:ss o m:ss.hh (p. ej. 1:45.30).',
+  'Enter a time as m:ss or m:ss.hh.': 'Introduce un tiempo como m:ss o m:ss.hh.',
+  'Enter a positive number.': 'Introduce un número positivo.',
+  'Reps must be a whole number above 0.': 'Las repeticiones deben ser un número entero mayor que 0.',
+  'Load must be a number.': 'La carga debe ser un número.',
+  'RPE must be between 1 and 10.': 'El RPE debe estar entre 1 y 10.',
+
+  /* ---- Share card ---- */
+  'Share result': 'Compartir resultado',
+  '{movement} result card': 'Tarjeta de resultado de {movement}',
+  'Share / Save image': 'Compartir / Guardar imagen',
+  'Week {week} of {weeks}': 'Semana {week} de {weeks}',
+  'PERSONAL RECORD': 'RÉCORD PERSONAL',
+  'Could not render the image.': 'No se pudo generar la imagen.',
+
+  /* ---- Leaderboard ---- */
+  'you': 'tú',
+  'Updates as results come in': 'Se actualiza a medida que llegan resultados',
+  'Refreshing every {n}s': 'Actualizando cada {n} s',
+  'Live': 'En vivo',
+  'Auto-refresh': 'Actualización automática',
+  'Movement:': 'Movimiento:',
+  'This cycle': 'Este ciclo',
+  'Earlier cycles': 'Ciclos anteriores',
+  'Legacy': 'Histórico',
+  'Window:': 'Periodo:',
+  'This week': 'Esta semana',
+  'Past cycle': 'Ciclo pasado',
+  'All-time': 'Histórico total',
+  'View:': 'Vista:',
+  'Age group': 'Grupo de edad',
+  'Bodyweight class': 'Categoría de peso',
+  'Relative strength': 'Fuerza relativa',
+  'All divisions': 'Todas las divisiones',
+  'Open': 'Abierta',
+  'Under 40': 'Menos de 40',
+  'Load ÷ bodyweight': 'Carga ÷ peso corporal',
+  'Relative strength is only available for lbs/kgs movements.': 'La fuerza relativa solo está disponible para movimientos en lbs/kgs.',
+  "Only athletes who've added their birth year in Profile are shown.": 'Solo se muestran los atletas que han añadido su año de nacimiento en el Perfil.',
+  "Only athletes who've added their bodyweight in Profile are shown.": 'Solo se muestran los atletas que han añadido su peso corporal en el Perfil.',
+  'Selected movement': 'Movimiento seleccionado',
+  "You're hidden from the leaderboard (change this in Profile).": 'Estás oculto en la clasificación (cámbialo en el Perfil).',
+  'No entries yet.': 'Aún no hay registros.',
+  'all': 'todos',
+  'top 5': 'top 5',
+  'Show top 5': 'Ver top 5',
+  'Show all {n}': 'Ver los {n}',
+
+  /* ---- Coach ---- */
+  'Name check': 'Revisión de nombres',
+  'Members whose entries were saved under more than one name.': 'Miembros cuyos registros se guardaron con más de un nombre.',
+  "Every member's entries use a single name.": 'Los registros de cada miembro usan un solo nombre.',
+  'No display name': 'Sin nombre visible',
+  '{n} entry': '{n} registro',
+  '{n} entries': '{n} registros',
+  'Member': 'Miembro',
+  'Roster': 'Plantilla',
+  'read-only': 'solo lectura',
+  'Loading…': 'Cargando…',
+  'Refresh': 'Actualizar',
+  'No active cycle configured.': 'No hay ningún ciclo activo configurado.',
+  '{behind} of {total} behind this week': '{behind} de {total} atrasados esta semana',
+  'Everyone is up to date this week.': 'Todos están al día esta semana.',
+  'Missing: {dates}': 'Faltan: {dates}',
+  'W{n}': 'S{n}',
+  'Each slot shows the best result this cycle and sessions logged out of those so far.': 'Cada casilla muestra el mejor resultado del ciclo y las sesiones registradas sobre las disponibles hasta ahora.',
+
+  /* ---- History ---- */
+  'No entries in that range.': 'No hay registros en ese rango.',
+  'Current Cycle': 'Ciclo actual',
+  'Previous Cycle': 'Ciclo anterior',
+  'Single Cycle': 'Un solo ciclo',
+  'Cycle not found.': 'No se encontró el ciclo.',
+  'All Cycles': 'Todos los ciclos',
+  'Compare Cycles': 'Comparar ciclos',
+  'Notes Timeline': 'Cronología de notas',
+  'Entries Table': 'Tabla de registros',
+  'Export:': 'Exportar:',
+  'Import…': 'Importar…',
+  'No previous cycle configured.': 'No hay ningún ciclo anterior configurado.',
+  'No movements configured.': 'No hay movimientos configurados.',
+  'Select cycle': 'Elige un ciclo',
+  'Not programmed': 'No programado',
+  'First:': 'Primero:',
+  'Last:': 'Último:',
+  'Best:': 'Mejor:',
+  'Change:': 'Cambio:',
+  'Logged: {sessions}/{available} weeks': 'Registrado: {sessions}/{available} semanas',
+  'vs': 'vs',
+  'Pick two cycles to compare.': 'Elige dos ciclos para comparar.',
+  'Week {n}': 'Semana {n}',
+  '{a}: {aWeeks} weeks • {b}: {bWeeks} weeks. Charts line up by cycle week.': '{a}: {aWeeks} semanas • {b}: {bWeeks} semanas. Los gráficos se alinean por semana del ciclo.',
+  'Strength across blocks': 'Fuerza entre bloques',
+  'Best estimated 1RM per block, so different rep maxes of a lift line up.': 'Mejor 1RM estimado por bloque, para comparar distintas repeticiones máximas de un mismo ejercicio.',
+  '{delta} vs earlier cycles': '{delta} frente a ciclos anteriores',
+  'Date:': 'Fecha:',
+  'PR history ({n})': 'Historial de récords ({n})',
+  'Date': 'Fecha',
+  'Margin': 'Margen',
+  'Days since last': 'Días desde el anterior',
+
+  /* ---- Notes timeline ---- */
+  'Notes timeline ({n})': 'Cronología de notas ({n})',
+  'Search notes, tags, settings…': 'Buscar notas, etiquetas, ajustes…',
+  'All tags': 'Todas las etiquetas',
+  'All movements': 'Todos los movimientos',
+  'Pain only': 'Solo con dolor',
+  'No notes match.': 'Ninguna nota coincide.',
+  'RPE {n}': 'RPE {n}',
+  'Pain': 'Dolor',
+  'Filter by this tag': 'Filtrar por esta etiqueta',
+
+  /* ---- Entries table ---- */
+  'You': 'Tú',
+  'Delete your {movement} result on {date}? You can undo this from the history below.': '¿Eliminar tu resultado de {movement} del {date}? Puedes deshacerlo desde el historial de abajo.',
+  'remove this entry': 'eliminar este registro',
+  'restore {value}': 'restaurar {value}',
+  'Undo: {what} for {date}?': 'Deshacer: ¿{what} del {date}?',
+  'Entries ({n})': 'Registros ({n})',
+  'Movement': 'Movimiento',
+  'Notes': 'Notas',
+  'Best of several attempts — edit attempts on the calendar': 'Mejor de varios intentos: edita los intentos en el calendario',
+  'Pending sync': 'Pendiente de sincronizar',
+  'Cancel': 'Cancelar',
+  'Edit': 'Editar',
+  'Delete': 'Eliminar',
+  'Change history': 'Historial de cambios',
+  'All members': 'Todos los miembros',
+  'No changes recorded yet.': 'Aún no hay cambios registrados.',
+  'Logged': 'Registrado',
+  'Changed': 'Modificado',
+  'Deleted': 'Eliminado',
+  'Undo': 'Deshacer',
+
+  /* ---- Import ---- */
+  'Set your name in Profile before importing.': 'Pon tu nombre en el Perfil antes de importar.',
+  'No rows found in that file.': 'No se encontraron filas en ese archivo.',
+  'Could not read file: {error}': 'No se pudo leer el archivo: {error}',
+  'Imported {n} entry.': 'Se importó {n} registro.',
+  'Imported {n} entries.': 'Se importaron {n} registros.',
+  'Import training history': 'Importar historial de entrenamiento',
+  "Choose a CSV (first row = column names) or a JSON export. Each row needs a date and a value; it's matched to the movement programmed on that date.": 'Elige un CSV (primera fila = nombres de columna) o una exportación JSON. Cada fila necesita una fecha y un valor; se asocia al movimiento programado en esa fecha.',
+  '{n} row found. Match your columns:': '{n} fila encontrada. Asocia tus columnas:',
+  '{n} rows found. Match your columns:': '{n} filas encontradas. Asocia tus columnas:',
+  'Unit': 'Unidad',
+  'Select column': 'Elige una columna',
+  '— not in file —': '— no está en el archivo —',
+  '{n} new': '{n} nuevos',
+  '{n} already logged': '{n} ya registrados',
+  '{n} invalid': '{n} no válidos',
+  "Overwrite days I've already logged": 'Sobrescribir los días que ya he registrado',
+  'Line': 'Línea',
+  'Status': 'Estado',
+  'New': 'Nuevo',
+  'Replaces {value}': 'Reemplaza {value}',
+  'Back': 'Atrás',
+  'Preview': 'Vista previa',
+  'Import {n}': 'Importar {n}',
+  'Tags': 'Etiquetas',
+  'Expected an array of entries.': 'Se esperaba una lista de registros.',
+  'Unrecognised date "{date}"': 'Fecha no reconocida "{date}"',
+  'Date is outside every configured cycle': 'La fecha está fuera de todos los ciclos configurados',
+  'No movement programmed on this day': 'No hay ningún movimiento programado ese día',
+  'Programmed movement is "{programmed}", not "{movement}"': 'El movimiento programado es "{programmed}", no "{movement}"',
+  'Unit "{unit}" doesn\'t match {expected}': 'La unidad "{unit}" no coincide con {expected}',
+  'Invalid value "{value}"': 'Valor no válido "{value}"',
+  'Unrecognised pain value "{pain}"': 'Valor de dolor no reconocido "{pain}"',
+  'Unrecognised settings "{settings}"': 'Ajustes no reconocidos "{settings}"',
+  'Duplicate date in this file': 'Fecha duplicada en este archivo',
+
+  /* ---- Programs ---- */
+  'Pick a start date.': 'Elige una fecha de inicio.',
+  'End date is before the start date.': 'La fecha de fin es anterior a la de inicio.',
+  '{day}: enter a target band (min ≤ max).': '{day}: introduce un rango objetivo (mín ≤ máx).',
+  'Add at least one movement.': 'Añade al menos un movimiento.',
+  'This overlaps {cycles}. Save anyway?': 'Se solapa con {cycles}. ¿Guardar de todos modos?',
+  'Delete this cycle? Built-in cycles go back to their original program.': '¿Eliminar este ciclo? Los ciclos predefinidos vuelven a su programa original.',
+  'Edit cycle': 'Editar ciclo',
+  'New cycle': 'Nuevo ciclo',
+  'e.g. April 2026': 'p. ej. Abril 2026',
+  'Start': 'Inicio',
+  'End': 'Fin',
+  'Weeks': 'Semanas',
+  'Higher is better': 'Más es mejor',
+  'Lower is better': 'Menos es mejor',
+  'Target band': 'Rango objetivo',
+  'Band': 'Rango',
+  'min': 'mín',
+  'max': 'máx',
+  'Rep max': 'Rep. máx.',
+  'Lift': 'Ejercicio',
+  'e.g. RDL (compares blocks)': 'p. ej. RDL (compara bloques)',
+  'Save Cycle': 'Guardar ciclo',
+  'Schedule next (clone latest)': 'Programar el siguiente (clonar el último)',
+  'Untitled cycle': 'Ciclo sin nombre',
+  'built-in': 'predefinido',
+  'Clone': 'Clonar',
+};
@@ -2,10 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import ConfigError from './ConfigError.jsx'
+import { configError } from './lib/data'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {configError ? <ConfigError message={configError} /> : <App />}
   </StrictMode>,
 )
 // Register the service worker so the app is installable
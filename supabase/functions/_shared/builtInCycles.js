@@ -0,0 +1,71 @@
+// supabase/functions/_shared/builtInCycles.js
+// The built-in program: historical training cycles that ship with the app. Used by
+// src/lib/programs.js and by the send-reminders edge function, so it has no
+// imports. Cycle shape: { id, name, start, weeks | endOverride, weekTemplate }.
+
+// Legacy block before Sep 1 (your original 7)
+export const LEGACY_MOVEMENTS = {
+  0: { key: 'sun', name: '3 Rep Max Landmine clean', unit: 'lbs', direction: 'higher', reps: 3, lift: 'Landmine clean' },
+  1: { key: 'mon', name: '6 Rep Reverse Lunge Max', unit: 'lbs', direction: 'higher', reps: 6, lift: 'Split squat' },
+  2: { key: 'tue', name: 'Max power Keiser Push/Pull', unit: 'watts', direction: 'higher' },
+  3: { key: 'wed', name: 'Max Treadmill Speed', unit: 'mph', direction: 'higher' },
+  4: { key: 'thu', name: '6 Rep Max Kickstand RDL', unit: 'lbs', direction: 'higher', reps: 6, lift: 'RDL' },
+  5: { key: 'fri', name: '6 Rep Max S/A Pull Down', unit: 'lbs', direction: 'higher', reps: 6, lift: 'Pull down' },
+  6: { key: 'sat', name: 'Max distance 30 sec assault bike', unit: 'miles', direction: 'higher' },
+};
+
+// Cycles in order (Prev → Sep → Oct → Nov/Jan → Jan/Feb → Feb/Apr)
+export const BUILT_IN_CYCLES = [
+  // Previous 8-week cycle window (explicit for July 6 – Aug 31)
+  { id: 'prev-2025-07', name: 'Summer 2025', start: '2025-07-06', endOverride: '2025-08-31', weekTemplate: { ...LEGACY_MOVEMENTS } },
+  // Sep cycle: 6 weeks (Sep 1 – Oct 12, 2025)
+  { id: 'sep-2025', name: 'September 2025', start: '2025-09-01', weeks: 6, weekTemplate: {
+    1: { key: 'w_mon', name: '6 Rep Bulgarian Split Squat', unit: 'lbs', direction: 'higher', reps: 6, lift: 'Split squat' },
+    2: { key: 'w_tue', name: '6 Rep DB Floor Press',        unit: 'lbs', direction: 'higher', reps: 6, lift: 'Press' },
+    3: { key: 'w_wed', name: '.1 Distance Run',              unit: 'time', direction: 'lower' },
+    4: { key: 'w_thu', name: '6 Rep Smith RDL',              unit: 'lbs', direction: 'higher', reps: 6, lift: 'RDL' },
+    5: { key: 'w_fri', name: 'Pull Up + Push Press EDT',     unit: 'rounds', direction: 'higher' },
+    6: { key: 'w_sat', name: 'Ski/Curl/Squat METCON',        unit: 'time', direction: 'lower' },
+    0: { key: 'w_sun', name: 'Keiser Rotate to Press',       unit: 'watts', direction: 'higher' },
+  } },
+  // Oct cycle: 6 weeks (Oct 13 – Nov 23, 2025)
+  { id: 'oct-2025', name: 'October 2025', start: '2025-10-13', weeks: 6, weekTemplate: {
+    1: { key: 'o_mon', name: 'Barbell Box Squat',            unit: 'lbs', direction: 'higher' },
+    2: { key: 'o_tue', name: 'Barbell Block Bench Press',    unit: 'lbs', direction: 'higher' },
+    3: { key: 'o_wed', name: '.25 Assault Bike',             unit: 'time', direction: 'lower' },
+    4: { key: 'o_thu', name: 'Kickstand Landmine RDL',       unit: 'lbs', direction: 'higher' },
+    5: { key: 'o_fri', name: 'Half Kneeling S/A DB Press',   unit: 'lbs', direction: 'higher' },
+    6: { key: 'o_sat', name: '.25 Distance Run',             unit: 'time', direction: 'lower' },
+    0: { key: 'o_sun', name: 'Kettlebell Complex',           unit: 'lbs', direction: 'higher' },
+  } },
+  // Nov–Jan cycle: 6 weeks (Nov 24, 2025 – Jan 4, 2026)
+  { id: 'nov-2025', name: 'November 2025', start: '2025-11-24', weeks: 6, weekTemplate: {
+    1: { key: 'n_mon', name: 'Keiser Belt Squat',         unit: 'watts', direction: 'higher' },
+    2: { key: 'n_tue', name: 'S/A Tempo DB Row',          unit: 'lbs', direction: 'higher' },
+    3: { key: 'n_wed', name: 'Keiser Step Chop',          unit: 'watts', direction: 'higher' },
+    4: { key: 'n_thu', name: 'Barbell Hip Thrust',        unit: 'lbs', direction: 'higher' },
+    5: { key: 'n_fri', name: 'S/A Kneeling Pull Down',    unit: 'kgs', direction: 'higher' },
+    6: { key: 'n_sat', name: '200 Meter Ski',             unit: 'time', direction: 'lower' },
+    0: { key: 'n_sun', name: 'Landmine Clean + Jerk',     unit: 'lbs', direction: 'higher' },
+  } },
+  // Jan–Feb cycle: 6 weeks (Jan 12, 2026 – Feb 22, 2026)
+  { id: 'jan-2026', name: 'January 2026', start: '2026-01-12', weeks: 6, weekTemplate: {
+    1: { key: 'j_mon', name: 'Landmine kickstand squat 6 RM',      unit: 'lbs', direction: 'higher', reps: 6, lift: 'Squat' },
+    2: { key: 'j_tue', name: 'Seated Cable Bench Row 6 RM',        unit: 'kgs', direction: 'higher', reps: 6, lift: 'Row' },
+    3: { key: 'j_wed', name: 'Keiser Bar Chop Max Power',          unit: 'watts', direction: 'higher' },
+    4: { key: 'j_thu', name: 'Smith Bulgarian Split Squat 6 RM',   unit: 'lbs', direction: 'higher', reps: 6, lift: 'Split squat' },
+    5: { key: 'j_fri', name: 'Smith Pin Press 6 RM',               unit: 'lbs', direction: 'higher', reps: 6, lift: 'Press' },
+    6: { key: 'j_sat', name: 'Treadmill 30 Sec Max Distance',      unit: 'miles', direction: 'higher' },
+    0: { key: 'j_sun', name: 'S/A Kickstand KB Clean',             unit: 'lbs', direction: 'higher' },
+  } },
+  // Feb–Apr cycle: 6 weeks (Feb 23, 2026 – Apr 5, 2026)
+  { id: 'feb-2026', name: 'February 2026', start: '2026-02-23', weeks: 6, weekTemplate: {
+    1: { key: 'f_mon', name: 'Smith Pin Squats x 6 reps',      unit: 'lbs', direction: 'higher', reps: 6, lift: 'Squat' },
+    2: { key: 'f_tue', name: 'Keiser Bench Press',             unit: 'watts', direction: 'higher' },
+    3: { key: 'f_wed', name: 'Cable Step Downs x 6 reps',      unit: 'kgs', direction: 'higher', reps: 6, lift: 'Step down' },
+    4: { key: 'f_thu', name: 'Smith Kickstand RDL x 6 reps',   unit: 'lbs', direction: 'higher', reps: 6, lift: 'RDL' },
+    5: { key: 'f_fri', name: 'Cable Pull Down x 6 reps',       unit: 'kgs', direction: 'higher', reps: 6, lift: 'Pull down' },
+    6: { key: 'f_sat', name: 'Max Assault Bike Wattage',       unit: 'watts', direction: 'higher' },
+    0: { key: 'f_sun', name: '500m Ski time',                  unit: 'time', direction: 'lower' },
+  } },
+];
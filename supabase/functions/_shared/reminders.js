@@ -0,0 +1,72 @@
+// supabase/functions/_shared/reminders.js
+// Training-day reminder scheduling and payload, shared by the app (settings preview
+// and the local push stand-in) and the send-reminders edge function. Only imports
+// other dependency-free _shared files, so it runs unchanged in the browser, Node and Deno.
+import { BUILT_IN_CYCLES } from './builtInCycles.js';
+
+export const DEFAULT_REMINDER_TIME = '18:00';
+
+// Notification text per UI language (push_subscriptions.locale); English when missing
+const MESSAGES = {
+  en: { title: 'Today: {movement}', body: "You haven't logged today's result yet. Tap to add it." },
+  es: { title: 'Hoy: {movement}', body: 'Todavía no has registrado el resultado de hoy. Toca para añadirlo.' },
+};
+const pad = (n) => String(n).padStart(2, '0');
+const dayNumber = (iso) => {
+  const [y, m, d] = iso.split('-').map(Number);
+  return Date.UTC(y, m - 1, d) / 86400000;
+};
+
+export const isReminderTime = (text) => /^([01]\d|2[0-3]):[0-5]\d$/.test(text || '');
+
+// { date: 'YYYY-MM-DD', time: 'HH:MM' } on the member's wall clock
+export function localClock(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || undefined,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+    }).formatToParts(now).map((p) => [p.type, p.value]),
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${pad(Number(parts.hour))}:${parts.minute}` };
+}
+
+// The local day a reminder is due for, or null. Due once the chosen time has
+// passed, at most once per day: `lastSent` is the day of the previous reminder.
+export function dueReminderDate({ now, time = DEFAULT_REMINDER_TIME, timeZone, lastSent = null }) {
+  const clock = localClock(now, timeZone);
+  if (clock.time < (isReminderTime(time) ? time : DEFAULT_REMINDER_TIME)) return null;
+  return clock.date === lastSent ? null : clock.date;
+}
+
+// Notification for one day, or null when nothing is programmed or it's already logged.
+// `url` deep-links to that day's entry panel on the calendar.
+export function reminderPayload({ date, movement, logged, locale = 'en' }) {
+  if (logged || !movement || movement === 'TBD') return null;
+  const text = MESSAGES[locale] || MESSAGES.en;
+  return {
+    title: text.title.replace('{movement}', movement),
+    body: text.body,
+    tag: `reminder-${date}`,
+    url: `/calendar/${date}`,
+  };
+}
+
+// Movement name for a day from `cycles` table rows, for the edge function (the app
+// uses movementForDate). Rows override the built-in cycle with the same id, as in
+// programs.js. Same bounds as getCycleBounds: end_date, else start + weeks;
+// templates are keyed by day index (0 = Sunday).
+export function movementFromRows(cycleRows, date) {
+  const day = dayNumber(date);
+  const saved = new Set(cycleRows.map((c) => c.id));
+  const builtIns = BUILT_IN_CYCLES.filter((c) => !saved.has(c.id)).map((c) => ({
+    start_date: c.start, weeks: c.weeks ?? null, end_date: c.endOverride ?? null, week_template: c.weekTemplate,
+  }));
+  const cycles = [...builtIns, ...cycleRows].sort((a, b) => a.start_date.localeCompare(b.start_date));
+  const cycle = cycles.find((c) => {
+    const start = dayNumber(c.start_date);
+    const end = c.end_date ? dayNumber(c.end_date) : start + (c.weeks ?? 0) * 7 - 1;
+    return day >= start && day <= end;
+  });
+  return cycle?.week_template?.[(((day + 4) % 7) + 7) % 7]?.name || null;
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { dueReminderDate, localClock, reminderPayload, movementFromRows } from './reminders.js';
+
+// 2026-03-02 23:30 UTC is 18:30 in New York and already 2026-03-03 in Berlin
+const now = new Date('2026-03-02T23:30:00Z');
+
+describe('localClock', () => {
+  it('reads the day and time in the member\'s time zone', () => {
+    expect(localClock(now, 'America/New_York')).toEqual({ date: '2026-03-02', time: '18:30' });
+    expect(localClock(now, 'Europe/Berlin')).toEqual({ date: '2026-03-03', time: '00:30' });
+  });
+});
+
+describe('dueReminderDate', () => {
+  const tz = 'America/New_York';
+
+  it('is due once the chosen time has passed on the local day', () => {
+    expect(dueReminderDate({ now, time: '18:00', timeZone: tz })).toBe('2026-03-02');
+    expect(dueReminderDate({ now, time: '18:30', timeZone: tz })).toBe('2026-03-02');
+    expect(dueReminderDate({ now, time: '19:00', timeZone: tz })).toBeNull();
+  });
+
+  it('sends at most once per local day', () => {
+    expect(dueReminderDate({ now, time: '18:00', timeZone: tz, lastSent: '2026-03-02' })).toBeNull();
+    expect(dueReminderDate({ now, time: '18:00', timeZone: tz, lastSent: '2026-03-01' })).toBe('2026-03-02');
+  });
+
+  it('falls back to 18:00 for a malformed time', () => {
+    expect(dueReminderDate({ now, time: '25:00', timeZone: tz })).toBe('2026-03-02');
+    expect(dueReminderDate({ now, time: '6pm', timeZone: 'Europe/Berlin' })).toBeNull();
+  });
+});
+
+describe('reminderPayload', () => {
+  it('links to the day in the member\'s language', () => {
+    expect(reminderPayload({ date: '2026-03-02', movement: 'Squat', logged: false, locale: 'es' })).toEqual({
+      title: 'Hoy: Squat',
+      body: 'Todavía no has registrado el resultado de hoy. Toca para añadirlo.',
+      tag: 'reminder-2026-03-02',
+      url: '/calendar/2026-03-02',
+    });
+    expect(reminderPayload({ date: '2026-03-02', movement: 'Squat', logged: false, locale: 'fr' }).title).toBe('Today: Squat');
+  });
+
+  it('sends nothing for a logged or unprogrammed day', () => {
+    expect(reminderPayload({ date: '2026-03-02', movement: 'Squat', logged: true })).toBeNull();
+    expect(reminderPayload({ date: '2026-03-02', movement: 'TBD', logged: false })).toBeNull();
+    expect(reminderPayload({ date: '2026-03-02', movement: null, logged: false })).toBeNull();
+  });
+});
+
+describe('movementFromRows', () => {
+  const row = { id: 'spring-2026', start_date: '2026-04-06', weeks: 2, end_date: null, week_template: { 1: { name: 'Sled Push' } } };
+
+  it('falls back to the built-in program', () => {
+    expect(movementFromRows([], '2026-03-02')).toBe('Smith Pin Squats x 6 reps');
+    expect(movementFromRows([], '2026-01-07')).toBeNull(); // between cycles
+  });
+
+  it('reads saved cycles by weekday index within their bounds', () => {
+    expect(movementFromRows([row], '2026-04-13')).toBe('Sled Push');
+    expect(movementFromRows([row], '2026-04-14')).toBeNull();
+    expect(movementFromRows([row], '2026-04-20')).toBeNull();
+  });
+
+  it('lets a saved cycle override the built-in one with the same id', () => {
+    const override = { ...row, id: 'feb-2026', start_date: '2026-02-23', weeks: 6 };
+    expect(movementFromRows([override], '2026-03-02')).toBe('Sled Push');
+  });
+});
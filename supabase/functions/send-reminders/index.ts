@@ -0,0 +1,56 @@
+// supabase/functions/send-reminders/index.ts
+// Sends due training-day reminders as web push. Run it every few minutes with
+// Supabase cron; set VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT
+// (mailto: or https: contact) as function secrets. The public key must match
+// VITE_VAPID_PUBLIC_KEY in the app.
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import webpush from 'npm:web-push@3';
+import { dueReminderDate, reminderPayload, movementFromRows } from '../_shared/reminders.js';
+
+Deno.serve(async () => {
+  const db = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!);
+  webpush.setVapidDetails(
+    Deno.env.get('VAPID_SUBJECT')!,
+    Deno.env.get('VAPID_PUBLIC_KEY')!,
+    Deno.env.get('VAPID_PRIVATE_KEY')!,
+  );
+
+  const now = new Date();
+  const [{ data: subs, error }, { data: cycles }] = await Promise.all([
+    db.from('push_subscriptions').select('*'),
+    db.from('cycles').select('id, start_date, weeks, end_date, week_template'),
+  ]);
+  if (error) return Response.json({ error: error.message }, { status: 500 });
+
+  let sent = 0;
+  for (const sub of subs ?? []) {
+    const date = dueReminderDate({ now, time: sub.reminder_time, timeZone: sub.time_zone, lastSent: sub.last_sent_on });
+    if (!date) continue;
+    const { count } = await db
+      .from('entries')
+      .select('date', { count: 'exact', head: true })
+      .eq('user_id', sub.user_id)
+      .eq('date', date);
+    // Marked as handled even when there's nothing to send, so the day isn't rechecked
+    await db.from('push_subscriptions').update({ last_sent_on: date }).eq('endpoint', sub.endpoint);
+    const payload = reminderPayload({
+      date,
+      movement: movementFromRows(cycles ?? [], date),
+      logged: (count ?? 0) > 0,
+      locale: sub.locale,
+    });
+    if (!payload) continue;
+    try {
+      await webpush.sendNotification({ endpoint: sub.endpoint, keys: sub.keys }, JSON.stringify(payload));
+      sent += 1;
+    } catch (e) {
+      // The browser dropped this subscription
+      if (e.statusCode === 404 || e.statusCode === 410) {
+        await db.from('push_subscriptions').delete().eq('endpoint', sub.endpoint);
+      } else {
+        console.error('Push failed:', sub.endpoint, e);
+      }
+    }
+  }
+  return Response.json({ sent });
+});
@@ -0,0 +1,48 @@
+-- Training cycles as data (read by src/lib/programs.js).
+-- Built-in historical cycles ship with the app; a row here with the same id overrides one.
+create table if not exists public.cycles (
+  id            text primary key,
+  name          text,
+  start_date    date not null,
+  weeks         integer check (weeks is null or weeks > 0),
+  end_date      date,
+  week_template jsonb not null default '{}'::jsonb,
+  created_by    uuid references auth.users (id) default auth.uid(),
+  created_at    timestamptz not null default now(),
+  check (weeks is not null or end_date is not null)
+);
+
+-- Coach flag is granted from the dashboard / service role, never from the app
+alter table public.profiles add column if not exists is_coach boolean not null default false;
+
+-- Members upsert their own profile row, so the flag is guarded here rather than by RLS.
+-- Not security definer: current_user is the API role (anon/authenticated) for app
+-- requests and service_role/postgres for the dashboard.
+create or replace function public.guard_is_coach() returns trigger
+  language plpgsql set search_path = public as $$
+begin
+  if current_user in ('anon', 'authenticated')
+     and new.is_coach is distinct from (case when tg_op = 'UPDATE' then old.is_coach else false end) then
+    raise exception 'is_coach can only be changed by the service role' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_is_coach on public.profiles;
+create trigger profiles_guard_is_coach
+  before insert or update on public.profiles
+  for each row execute function public.guard_is_coach();
+
+alter table public.cycles enable row level security;
+
+create policy "cycles readable by members"
+  on public.cycles for select
+  to authenticated
+  using (true);
+
+create policy "coaches manage cycles"
+  on public.cycles for all
+  to authenticated
+  using (exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_coach))
+  with check (exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_coach));
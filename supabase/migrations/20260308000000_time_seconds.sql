@@ -0,0 +1,53 @@
+-- Time results are now entered as m:ss.hh and stored as seconds. Before that the
+-- field was a plain number, and members typed it two ways: 1.45 as 1.45 min or as
+-- 1:45. The app sets value_is_seconds on every row it writes (src/lib/data/supabaseRepo.js),
+-- so only unflagged rows are legacy and running this again changes nothing.
+-- Run it before shipping the app: older builds don't write the flag.
+alter table public.entries add column if not exists value_is_seconds boolean;
+
+-- Legacy values that can't be read without asking the member: whole numbers
+-- (minutes or seconds?) and one decimal place (1.5 = 1:30 or 1:50?). They keep
+-- their value and stay unflagged; fix them from the dashboard, then set the flag.
+create table if not exists public.entry_time_review (
+  user_id  uuid not null,
+  date     date not null,
+  movement text,
+  value    numeric not null,
+  reason   text not null,
+  primary key (user_id, date)
+);
+
+-- No policies: service role and dashboard only
+alter table public.entry_time_review enable row level security;
+
+create temporary table legacy_time on commit drop as
+  select user_id, date, movement, v,
+    case
+      when v = trunc(v) then 'whole number'
+      when v * 10 = trunc(v * 10) then 'one decimal place'
+      -- two decimals below .60 read as m.ss: 1.45 → 1:45
+      when v * 100 = trunc(v * 100) and v - trunc(v) < 0.6 then 'm.ss'
+      -- 1.75, 1.333…: can't be seconds, so decimal minutes
+      else 'minutes'
+    end as kind
+  from (
+    select user_id, date, movement, value::numeric as v
+      from public.entries
+     where unit = 'time' and value_is_seconds is null and value is not null
+  ) l;
+
+insert into public.entry_time_review (user_id, date, movement, value, reason)
+select user_id, date, movement, v, kind
+  from legacy_time
+ where kind in ('whole number', 'one decimal place')
+on conflict (user_id, date) do nothing;
+
+update public.entries e
+   set value = case
+         when l.kind = 'm.ss' then trunc(l.v) * 60 + (l.v - trunc(l.v)) * 100
+         else round(l.v * 60, 2)
+       end,
+       value_is_seconds = true
+  from legacy_time l
+ where l.kind in ('m.ss', 'minutes')
+   and e.user_id = l.user_id and e.date = l.date;
@@ -0,0 +1,9 @@
+-- Multiple attempts/sets per entry. `value` stays the day's score (best attempt)
+-- so existing charts and leaderboard queries keep working.
+-- Each element: { "value": number, "reps"?: int, "load"?: number, "rpe"?: number }
+alter table public.entries add column if not exists attempts jsonb;
+
+-- Backfill: every existing entry was a single attempt
+update public.entries
+   set attempts = jsonb_build_array(jsonb_build_object('value', value))
+ where attempts is null and value is not null;
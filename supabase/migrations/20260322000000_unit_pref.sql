@@ -0,0 +1,4 @@
+-- Per-member display units for weight movements: null = as programmed, 'lbs' or 'kgs'.
+-- Entries keep the unit they were entered in (entries.unit); the app converts on display.
+alter table public.profiles add column if not exists unit_pref text
+  check (unit_pref is null or unit_pref in ('lbs', 'kgs'));
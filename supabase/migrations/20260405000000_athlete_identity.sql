@@ -0,0 +1,17 @@
+-- Leaderboard identity comes from the account, not the name copied onto each entry.
+-- entries.name / entries.gender stay as a fallback for members without a profile row.
+alter table public.profiles add column if not exists display_name text;
+alter table public.profiles add column if not exists leaderboard_opt_out boolean not null default false;
+
+-- Public, read-only slice of profiles for the leaderboard. Runs as the view owner so
+-- members can see each other's display name and division without reading full profiles.
+create or replace view public.athlete_directory as
+  select
+    p.id,
+    coalesce(nullif(trim(p.display_name), ''), nullif(split_part(trim(p.name), ' ', 1), '')) as display_name,
+    p.gender,
+    p.leaderboard_opt_out
+  from public.profiles p;
+
+revoke all on public.athlete_directory from anon;
+grant select on public.athlete_directory to authenticated;
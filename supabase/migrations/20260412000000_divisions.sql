@@ -0,0 +1,18 @@
+-- Division (profiles.gender: male | female | nonbinary | open), age and bodyweight for
+-- leaderboard groupings. Bodyweight keeps the unit it was entered in.
+alter table public.profiles add column if not exists birth_year integer
+  check (birth_year is null or birth_year between 1900 and 2100);
+alter table public.profiles add column if not exists bodyweight numeric
+  check (bodyweight is null or bodyweight > 0);
+alter table public.profiles add column if not exists bodyweight_unit text
+  check (bodyweight_unit is null or bodyweight_unit in ('lbs', 'kgs'));
+
+create or replace view public.athlete_directory as
+  select
+    p.id,
+    coalesce(nullif(trim(p.display_name), ''), nullif(split_part(trim(p.name), ' ', 1), '')) as display_name,
+    p.gender,
+    p.leaderboard_opt_out,
+    p.birth_year,
+    case when p.bodyweight_unit = 'lbs' then p.bodyweight / 2.2046226218 else p.bodyweight end as bodyweight_kg
+  from public.profiles p;
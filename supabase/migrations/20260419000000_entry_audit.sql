@@ -0,0 +1,54 @@
+-- Audit trail for entries: every insert, overwrite and delete keeps the old and new row,
+-- who made the change and when. Written by trigger only; the app just reads it.
+create table if not exists public.entry_audit (
+  id            bigint generated always as identity primary key,
+  entry_user_id uuid not null,
+  entry_date    date not null,
+  action        text not null check (action in ('insert', 'update', 'delete')),
+  old_row       jsonb,
+  new_row       jsonb,
+  changed_by    uuid default auth.uid(),
+  changed_at    timestamptz not null default now()
+);
+
+create index if not exists entry_audit_user_idx on public.entry_audit (entry_user_id, changed_at desc);
+
+create or replace function public.audit_entry_change() returns trigger
+  language plpgsql security definer set search_path = public as $$
+begin
+  insert into public.entry_audit (entry_user_id, entry_date, action, old_row, new_row)
+  values (
+    coalesce(new.user_id, old.user_id),
+    coalesce(new.date, old.date),
+    lower(tg_op),
+    case when tg_op = 'INSERT' then null else to_jsonb(old) end,
+    case when tg_op = 'DELETE' then null else to_jsonb(new) end
+  );
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists entries_audit on public.entries;
+create trigger entries_audit
+  after insert or update or delete on public.entries
+  for each row execute function public.audit_entry_change();
+
+alter table public.entry_audit enable row level security;
+
+create policy "members read their own audit"
+  on public.entry_audit for select
+  to authenticated
+  using (entry_user_id = auth.uid()
+         or exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_coach));
+
+-- Members can delete their own entries; coaches can correct anyone's (undo)
+create policy "members delete own entries"
+  on public.entries for delete
+  to authenticated
+  using (user_id = auth.uid());
+
+create policy "coaches manage entries"
+  on public.entries for all
+  to authenticated
+  using (exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_coach))
+  with check (exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_coach));
@@ -0,0 +1,56 @@
+-- Scoped reads: the app no longer downloads every member's entries.
+create index if not exists entries_movement_date_idx on public.entries (movement, date);
+
+-- Best entry per athlete for one movement in an optional date window. Values are
+-- compared in p_unit (lbs/kgs convert), ties go to the earlier date. Runs as the
+-- caller, so entries RLS still applies.
+create or replace function public.leaderboard_best(
+  p_movement   text,
+  p_from       date default null,
+  p_to         date default null,
+  p_direction  text default 'higher',
+  p_unit       text default null,
+  p_target_min numeric default null,
+  p_target_max numeric default null
+) returns setof public.entries
+  language sql stable as $$
+  select e.*
+  from (
+    select distinct on (x.user_id) x.*
+    from (
+      select en.*,
+        case
+          when en.unit = 'kgs' and p_unit = 'lbs' then en.value * 2.2046226218
+          when en.unit = 'lbs' and p_unit = 'kgs' then en.value / 2.2046226218
+          else en.value
+        end as v
+      from public.entries en
+      where en.movement = p_movement
+        and (p_from is null or en.date >= p_from)
+        and (p_to is null or en.date <= p_to)
+    ) x
+    order by x.user_id,
+      case p_direction
+        when 'lower' then x.v
+        when 'target' then greatest(p_target_min - x.v, x.v - p_target_max, 0)
+        else -x.v
+      end,
+      x.date
+  ) best
+  join public.entries e on e.user_id = best.user_id and e.date = best.date;
+$$;
+
+grant execute on function public.leaderboard_best(text, date, date, text, text, numeric, numeric) to authenticated;
+
+-- Names each member has saved entries under (for the coach's name check)
+create or replace view public.entry_name_variants with (security_invoker = true) as
+  select
+    user_id,
+    coalesce(nullif(trim(name), ''), '(blank)') as name,
+    count(*)::int as count,
+    min(date) as first,
+    max(date) as last
+  from public.entries
+  group by 1, 2;
+
+grant select on public.entry_name_variants to authenticated;
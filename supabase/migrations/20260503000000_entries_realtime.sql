@@ -0,0 +1,14 @@
+-- Live leaderboard: stream entry changes to signed-in clients. Realtime applies
+-- the entries RLS policies per subscriber; replica identity full sends the whole
+-- old row on update/delete so clients can tell which result changed.
+alter table public.entries replica identity full;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'entries'
+  ) then
+    alter publication supabase_realtime add table public.entries;
+  end if;
+end $$;
@@ -0,0 +1,126 @@
+-- Coach dashboard: members read only their own entries (notes, attempts, history);
+-- coaches read everyone's through "coaches manage entries". The leaderboard and its
+-- live updates move to entry_results, a trigger-maintained copy of just the scores.
+
+-- Replace whatever select policies entries had (the original schema let every
+-- signed-in member read every entry)
+do $$
+declare pol record;
+begin
+  for pol in
+    select policyname from pg_policies
+    where schemaname = 'public' and tablename = 'entries' and cmd = 'SELECT'
+  loop
+    execute format('drop policy %I on public.entries', pol.policyname);
+  end loop;
+end $$;
+
+create policy "members read own entries"
+  on public.entries for select
+  to authenticated
+  using (user_id = auth.uid());
+
+-- Scores only, readable by every member for the leaderboard
+create table if not exists public.entry_results (
+  user_id  uuid not null,
+  date     date not null,
+  movement text not null,
+  value    numeric not null,
+  unit     text,
+  primary key (user_id, date)
+);
+
+create index if not exists entry_results_movement_date_idx on public.entry_results (movement, date);
+
+alter table public.entry_results enable row level security;
+
+create policy "results readable by members"
+  on public.entry_results for select
+  to authenticated
+  using (true);
+
+create or replace function public.sync_entry_result() returns trigger
+  language plpgsql security definer set search_path = public as $$
+begin
+  if tg_op = 'DELETE' then
+    delete from public.entry_results where user_id = old.user_id and date = old.date;
+    return old;
+  end if;
+  if tg_op = 'UPDATE' and (old.user_id, old.date) is distinct from (new.user_id, new.date) then
+    delete from public.entry_results where user_id = old.user_id and date = old.date;
+  end if;
+  if new.value is null or new.movement is null then
+    delete from public.entry_results where user_id = new.user_id and date = new.date;
+  else
+    insert into public.entry_results (user_id, date, movement, value, unit)
+    values (new.user_id, new.date, new.movement, new.value, new.unit)
+    on conflict (user_id, date) do update
+      set movement = excluded.movement, value = excluded.value, unit = excluded.unit;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists entries_results on public.entries;
+create trigger entries_results
+  after insert or update or delete on public.entries
+  for each row execute function public.sync_entry_result();
+
+insert into public.entry_results (user_id, date, movement, value, unit)
+  select user_id, date, movement, value, unit
+  from public.entries
+  where value is not null and movement is not null
+on conflict (user_id, date) do nothing;
+
+-- Live leaderboard reads the projection; entries changes now only reach their owner and coaches
+alter table public.entry_results replica identity full;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'entry_results'
+  ) then
+    alter publication supabase_realtime add table public.entry_results;
+  end if;
+end $$;
+
+-- Same ranking as before, over entry_results so it no longer needs entries access
+drop function if exists public.leaderboard_best(text, date, date, text, text, numeric, numeric);
+
+create function public.leaderboard_best(
+  p_movement   text,
+  p_from       date default null,
+  p_to         date default null,
+  p_direction  text default 'higher',
+  p_unit       text default null,
+  p_target_min numeric default null,
+  p_target_max numeric default null
+) returns setof public.entry_results
+  language sql stable as $$
+  select x.user_id, x.date, x.movement, x.value, x.unit
+  from (
+    select distinct on (c.user_id) c.*
+    from (
+      select r.*,
+        case
+          when r.unit = 'kgs' and p_unit = 'lbs' then r.value * 2.2046226218
+          when r.unit = 'lbs' and p_unit = 'kgs' then r.value / 2.2046226218
+          else r.value
+        end as v
+      from public.entry_results r
+      where r.movement = p_movement
+        and (p_from is null or r.date >= p_from)
+        and (p_to is null or r.date <= p_to)
+    ) c
+    order by c.user_id,
+      case p_direction
+        when 'lower' then c.v
+        when 'target' then greatest(p_target_min - c.v, c.v - p_target_max, 0)
+        else -c.v
+      end,
+      c.date
+  ) x;
+$$;
+
+grant execute on function public.leaderboard_best(text, date, date, text, text, numeric, numeric) to authenticated;
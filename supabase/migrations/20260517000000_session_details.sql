@@ -0,0 +1,10 @@
+-- Structured session details next to entries.notes (see src/lib/notes.js):
+-- effort, a pain/injury flag, equipment settings and free tags.
+-- rpe is the hardest attempt's RPE (attempts[].rpe), kept on the row for filters and charts
+alter table public.entries add column if not exists rpe numeric(3,1)
+  check (rpe is null or rpe between 1 and 10);
+alter table public.entries add column if not exists pain boolean not null default false;
+alter table public.entries add column if not exists settings jsonb;
+alter table public.entries add column if not exists tags text[] not null default '{}';
+
+create index if not exists entries_tags_idx on public.entries using gin (tags);
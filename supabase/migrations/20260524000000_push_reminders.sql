@@ -0,0 +1,21 @@
+-- Training-day reminders: one row per browser that opted in. The send-reminders
+-- edge function (service role) reads these, sends the push and stamps last_sent_on.
+create table if not exists public.push_subscriptions (
+  endpoint      text primary key,
+  user_id       uuid not null references auth.users (id) on delete cascade default auth.uid(),
+  keys          jsonb not null,
+  reminder_time text not null default '18:00' check (reminder_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'),
+  time_zone     text not null default 'UTC',
+  last_sent_on  date,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_user_idx on public.push_subscriptions (user_id);
+
+alter table public.push_subscriptions enable row level security;
+
+create policy "members manage own push subscriptions"
+  on public.push_subscriptions for all
+  to authenticated
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
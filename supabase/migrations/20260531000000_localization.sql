@@ -0,0 +1,26 @@
+-- Week templates are keyed by day index (0 = Sunday … 6 = Saturday, as in
+-- JavaScript's Date#getDay) instead of English weekday names, so looking up a
+-- day's movement never depends on the UI language.
+update public.cycles c
+set week_template = (
+  select coalesce(jsonb_object_agg(
+    case t.key
+      when 'Sunday' then '0'
+      when 'Monday' then '1'
+      when 'Tuesday' then '2'
+      when 'Wednesday' then '3'
+      when 'Thursday' then '4'
+      when 'Friday' then '5'
+      when 'Saturday' then '6'
+      else t.key
+    end, t.value), '{}'::jsonb)
+  from jsonb_each(c.week_template) t
+)
+where exists (
+  select 1 from jsonb_object_keys(c.week_template) k
+  where k in ('Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday')
+);
+
+-- Reminders are written in the language the member chose on that device
+alter table public.push_subscriptions
+  add column if not exists locale text not null default 'en';
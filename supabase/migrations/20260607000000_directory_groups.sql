@@ -0,0 +1,54 @@
+-- athlete_directory is readable by every member, so it carries the leaderboard
+-- groupings instead of the birth year and bodyweight they come from. Same rules as
+-- src/lib/divisions.js: age in the calendar year, bodyweight classes by upper bound in kg.
+drop view if exists public.athlete_directory;
+
+create view public.athlete_directory as
+  select
+    p.id,
+    coalesce(nullif(trim(p.display_name), ''), nullif(split_part(trim(p.name), ' ', 1), '')) as display_name,
+    p.gender,
+    p.leaderboard_opt_out,
+    case
+      when p.birth_year is null then null
+      when extract(year from current_date)::int - p.birth_year < 40 then 'u40'
+      when extract(year from current_date)::int - p.birth_year < 50 then '40'
+      when extract(year from current_date)::int - p.birth_year < 60 then '50'
+      else '60'
+    end as age_group,
+    case
+      when w.kg is null then null
+      when w.kg <= 60 then '60'
+      when w.kg <= 70 then '70'
+      when w.kg <= 80 then '80'
+      when w.kg <= 90 then '90'
+      when w.kg <= 100 then '100'
+      else 'Infinity'
+    end as weight_class
+  from public.profiles p
+  cross join lateral (
+    select case when p.bodyweight_unit = 'lbs' then p.bodyweight / 2.2046226218 else p.bodyweight end as kg
+  ) w;
+
+revoke all on public.athlete_directory from anon;
+grant select on public.athlete_directory to authenticated;
+
+-- Relative strength leaderboard: each athlete's best load ÷ bodyweight (both kg),
+-- returned as unit 'ratio'. Security definer so it can read bodyweights the caller can't.
+create or replace function public.leaderboard_relative(
+  p_movement text,
+  p_from     date default null,
+  p_to       date default null
+) returns setof public.entry_results
+  language sql stable security definer set search_path = public as $$
+  select b.user_id, b.date, b.movement,
+    (case when b.unit = 'lbs' then b.value / 2.2046226218 else b.value end)
+      / (case when p.bodyweight_unit = 'lbs' then p.bodyweight / 2.2046226218 else p.bodyweight end),
+    'ratio'
+  from public.leaderboard_best(p_movement, p_from, p_to, 'higher', 'kgs') b
+  join public.profiles p on p.id = b.user_id
+  where b.unit in ('lbs', 'kgs') and p.bodyweight > 0;
+$$;
+
+revoke all on function public.leaderboard_relative(text, date, date) from public, anon;
+grant execute on function public.leaderboard_relative(text, date, date) to authenticated;
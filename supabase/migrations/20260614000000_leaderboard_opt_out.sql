@@ -0,0 +1,57 @@
+-- "Hide me from the leaderboard" is enforced here, not only in the app: both
+-- leaderboard functions skip opted-out athletes, except for the caller's own rows.
+
+-- Runs as the caller, who can't read other profiles, so the flag comes from athlete_directory
+create or replace function public.leaderboard_best(
+  p_movement   text,
+  p_from       date default null,
+  p_to         date default null,
+  p_direction  text default 'higher',
+  p_unit       text default null,
+  p_target_min numeric default null,
+  p_target_max numeric default null
+) returns setof public.entry_results
+  language sql stable as $$
+  select x.user_id, x.date, x.movement, x.value, x.unit
+  from (
+    select distinct on (c.user_id) c.*
+    from (
+      select r.*,
+        case
+          when r.unit = 'kgs' and p_unit = 'lbs' then r.value * 2.2046226218
+          when r.unit = 'lbs' and p_unit = 'kgs' then r.value / 2.2046226218
+          else r.value
+        end as v
+      from public.entry_results r
+      where r.movement = p_movement
+        and (p_from is null or r.date >= p_from)
+        and (p_to is null or r.date <= p_to)
+        and (r.user_id = auth.uid() or not exists (
+          select 1 from public.athlete_directory d where d.id = r.user_id and d.leaderboard_opt_out
+        ))
+    ) c
+    order by c.user_id,
+      case p_direction
+        when 'lower' then c.v
+        when 'target' then greatest(p_target_min - c.v, c.v - p_target_max, 0)
+        else -c.v
+      end,
+      c.date
+  ) x;
+$$;
+
+create or replace function public.leaderboard_relative(
+  p_movement text,
+  p_from     date default null,
+  p_to       date default null
+) returns setof public.entry_results
+  language sql stable security definer set search_path = public as $$
+  select b.user_id, b.date, b.movement,
+    (case when b.unit = 'lbs' then b.value / 2.2046226218 else b.value end)
+      / (case when p.bodyweight_unit = 'lbs' then p.bodyweight / 2.2046226218 else p.bodyweight end),
+    'ratio'
+  from public.leaderboard_best(p_movement, p_from, p_to, 'higher', 'kgs') b
+  join public.profiles p on p.id = b.user_id
+  where b.unit in ('lbs', 'kgs') and p.bodyweight > 0
+    and (p.id = auth.uid() or not p.leaderboard_opt_out);
+$$;
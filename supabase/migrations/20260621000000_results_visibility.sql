@@ -0,0 +1,16 @@
+-- entry_results was readable by every member, opted-out athletes included. Members
+-- now see their own results, coaches everyone's, and others only when they haven't
+-- opted out of the leaderboard (the flag comes from athlete_directory, which can
+-- read every profile). Realtime follows the same policy.
+drop policy if exists "results readable by members" on public.entry_results;
+
+create policy "results readable by members"
+  on public.entry_results for select
+  to authenticated
+  using (
+    user_id = auth.uid()
+    or exists (select 1 from public.profiles p where p.id = auth.uid() and p.is_coach)
+    or not exists (
+      select 1 from public.athlete_directory d where d.id = entry_results.user_id and d.leaderboard_opt_out
+    )
+  );